@@ -4,6 +4,11 @@
  * ==========================================
  * Ersetzt edu-mrh.de/embed/baseScript.js
  * Grundlegende Navigation mit Scroll-Funktionalität
+ * (Modus "scroll" aus navigation.js)
+ *
+ * Einbindung (navigation.js wird bei Bedarf selbst nachgeladen):
+ *
+ *   <script defer src="https://edu-mrh.de/embed/baseScript.js"></script>
  */
 
 'use strict';
@@ -13,35 +18,16 @@ const NAV_CONFIG = {
     smoothScroll: true,
     scrollDuration: 800,
     mobileBreakpoint: 1024,
-    selectors: {
-        navbar: '.navbar, nav, header.navbar',
-        sidebar: '.sidebar, .side-nav, aside',
-        sidebarMenu: '.sidebar-menu, .nav-menu, .side-menu',
-        sidebarLink: '.sidebar-menu a, .nav-menu a, .side-menu a, nav a[href^="#"]',
-        sidebarToggle: '.sidebar-toggle, #sidebarToggle, .close-sidebar',
-        mobileMenuBtn: '.mobile-menu-btn, #mobileMenuBtn, .burger-menu, .menu-toggle',
-        sections: 'section[id], .section[id], main section[id], article[id]',
-        progressBar: '.progress-bar, #progressBar, .scroll-progress'
-    },
     enableHashNavigation: true,
     enableProgressBar: true,
-    enableActiveHighlight: true,
-    updateUrlOnScroll: false
-};
-
-const NAV_STATE = {
-    isMobile: false,
-    sidebarOpen: false,
-    currentSection: null,
-    sections: [],
-    scrolling: false,
-    lastScrollTop: 0,
-    initialized: false
+    // Gemeinsamer Navigationskern (Modus "scroll")
+    navigationScriptUrl: 'https://edu-mrh.de/navigation.js'
 };
 
 class BaseNavigation {
     constructor(config = {}) {
         this.config = { ...NAV_CONFIG, ...config };
+        this.nav = null;
         this.init();
     }
 
@@ -55,321 +41,62 @@ class BaseNavigation {
     }
 
     setup() {
-        if (NAV_STATE.initialized) {
+        if (this.nav) {
             console.warn('Navigation already initialized');
             return;
         }
-        this.detectDevice();
-        this.collectSections();
-        this.setupNavbar();
-        this.setupSidebar();
-        this.setupMobileMenu();
-        this.setupScrollSpy();
-        this.setupProgressBar();
-        this.setupResizeHandler();
-        this.setupKeyboardNavigation();
-        this.setupAccessibility();
-        this.updateActiveSection();
-        NAV_STATE.initialized = true;
-        console.log('✅ Base Navigation System initialized');
-        console.log(`📄 Sections found: ${NAV_STATE.sections.length}`);
-        window.dispatchEvent(new CustomEvent('baseScriptLoaded', { detail: { sections: NAV_STATE.sections.map(s => s.id) } }));
-    }
-
-    detectDevice() {
-        NAV_STATE.isMobile = window.innerWidth <= this.config.mobileBreakpoint;
-        document.body.classList.toggle('is-mobile', NAV_STATE.isMobile);
-        document.body.classList.toggle('is-desktop', !NAV_STATE.isMobile);
-    }
-
-    collectSections() {
-        const sectionElements = document.querySelectorAll(this.config.selectors.sections);
-        NAV_STATE.sections = Array.from(sectionElements).filter(section => section.id && section.id.trim() !== '').map(section => ({ id: section.id, element: section, offsetTop: section.offsetTop, offsetBottom: section.offsetTop + section.offsetHeight }));
-        if (NAV_STATE.sections.length === 0) {
-            console.warn('⚠️ No sections with IDs found!');
-        } else {
-            console.log('📍 Sections:', NAV_STATE.sections.map(s => s.id).join(', '));
-        }
-    }
-
-    setupNavbar() {
-        const navbar = document.querySelector(this.config.selectors.navbar);
-        if (!navbar) {
-            console.warn('⚠️ Navbar not found');
-            return;
-        }
-        let lastScroll = 0;
-        let ticking = false;
-        window.addEventListener('scroll', () => {
-            if (!ticking) {
-                window.requestAnimationFrame(() => {
-                    const currentScroll = window.pageYOffset;
-                    navbar.classList.toggle('scrolled', currentScroll > 50);
-                    if (currentScroll > lastScroll && currentScroll > 100) {
-                        navbar.style.transform = 'translateY(-100%)';
-                        navbar.style.transition = 'transform 0.3s ease';
-                    } else {
-                        navbar.style.transform = 'translateY(0)';
-                    }
-                    lastScroll = currentScroll;
-                    ticking = false;
-                });
-                ticking = true;
-            }
-        });
-    }
-
-    setupSidebar() {
-        const sidebarLinks = document.querySelectorAll(this.config.selectors.sidebarLink);
-        if (sidebarLinks.length === 0) {
-            console.warn('⚠️ No sidebar links found');
-            return;
-        }
-        console.log(`🔗 Found ${sidebarLinks.length} navigation links`);
-        sidebarLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                const targetId = this.getTargetId(link);
-                if (targetId && NAV_STATE.sections.find(s => s.id === targetId)) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    console.log(`→ Navigating to: ${targetId}`);
-                    this.scrollToSection(targetId);
-                    if (NAV_STATE.isMobile) {
-                        setTimeout(() => this.closeSidebar(), 300);
-                    }
-                }
-            });
-        });
-        const sidebarToggles = document.querySelectorAll(this.config.selectors.sidebarToggle);
-        sidebarToggles.forEach(toggle => {
-            toggle.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.closeSidebar();
-            });
-        });
-        document.addEventListener('click', (e) => {
-            if (!NAV_STATE.isMobile || !NAV_STATE.sidebarOpen) return;
-            const sidebar = document.querySelector(this.config.selectors.sidebar);
-            const mobileMenuBtns = document.querySelectorAll(this.config.selectors.mobileMenuBtn);
-            const clickedMobileBtn = Array.from(mobileMenuBtns).some(btn => btn.contains(e.target));
-            if (sidebar && !sidebar.contains(e.target) && !clickedMobileBtn) {
-                this.closeSidebar();
-            }
-        });
-    }
-
-    setupMobileMenu() {
-        const mobileMenuBtns = document.querySelectorAll(this.config.selectors.mobileMenuBtn);
-        if (mobileMenuBtns.length === 0) {
-            console.warn('⚠️ No mobile menu buttons found');
-            return;
-        }
-        console.log(`📱 Found ${mobileMenuBtns.length} mobile menu button(s)`);
-        mobileMenuBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleSidebar();
-            });
-        });
-    }
-
-    setupScrollSpy() {
-        let ticking = false;
-        window.addEventListener('scroll', () => {
-            if (!ticking) {
-                window.requestAnimationFrame(() => {
-                    this.handleScroll();
-                    ticking = false;
-                });
-                ticking = true;
-            }
-        });
-        if (this.config.enableHashNavigation) {
-            window.addEventListener('hashchange', () => {
-                const hash = window.location.hash.substring(1);
-                if (hash && NAV_STATE.sections.find(s => s.id === hash)) {
-                    this.scrollToSection(hash, false);
-                }
+        this.loadCore(() => {
+            const plugins = ['keyboard'];
+            if (this.config.enableProgressBar) plugins.push('progress');
+            if (this.config.enableHashNavigation) plugins.push('hash');
+
+            this.nav = EduNavigation.attach({
+                mode: 'scroll',
+                plugins,
+                scrollOffset: this.config.scrollOffset,
+                smoothScroll: this.config.smoothScroll,
+                scrollDuration: this.config.scrollDuration,
+                mobileBreakpoint: this.config.mobileBreakpoint
             });
-            const initialHash = window.location.hash.substring(1);
-            if (initialHash && NAV_STATE.sections.find(s => s.id === initialHash)) {
-                setTimeout(() => {
-                    console.log(`🎯 Scrolling to initial hash: ${initialHash}`);
-                    this.scrollToSection(initialHash, false);
-                }, 300);
-            }
-        }
-    }
-
-    handleScroll() {
-        if (NAV_STATE.scrolling) return;
-        this.updateActiveSection();
-        if (this.config.enableProgressBar) {
-            this.updateProgressBar();
-        }
-    }
-
-    setupProgressBar() {
-        if (!this.config.enableProgressBar) return;
-        const progressBar = document.querySelector(this.config.selectors.progressBar);
-        if (progressBar) {
-            this.updateProgressBar();
-        }
-    }
-
-    updateProgressBar() {
-        const progressBar = document.querySelector(this.config.selectors.progressBar);
-        if (!progressBar) return;
-        const windowHeight = window.innerHeight;
-        const documentHeight = document.documentElement.scrollHeight;
-        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-        const scrollPercentage = (scrollTop / (documentHeight - windowHeight)) * 100;
-        progressBar.style.width = `${Math.min(Math.max(scrollPercentage, 0), 100)}%`;
-    }
-
-    updateActiveSection() {
-        if (!this.config.enableActiveHighlight) return;
-        const scrollPosition = window.pageYOffset + this.config.scrollOffset + 100;
-        let currentSection = null;
-        for (let i = NAV_STATE.sections.length - 1; i >= 0; i--) {
-            const section = NAV_STATE.sections[i];
-            if (scrollPosition >= section.offsetTop) {
-                currentSection = section.id;
-                break;
-            }
-        }
-        if (currentSection !== NAV_STATE.currentSection) {
-            NAV_STATE.currentSection = currentSection;
-            this.highlightActiveLink(currentSection);
-            if (this.config.updateUrlOnScroll && currentSection) {
-                this.updateHash(currentSection);
-            }
-        }
-    }
+            this.setupAccessibility();
 
-    highlightActiveLink(sectionId) {
-        const sidebarLinks = document.querySelectorAll(this.config.selectors.sidebarLink);
-        sidebarLinks.forEach(link => {
-            const targetId = this.getTargetId(link);
-            if (targetId === sectionId) {
-                link.classList.add('active');
-                link.setAttribute('aria-current', 'true');
-            } else {
-                link.classList.remove('active');
-                link.removeAttribute('aria-current');
-            }
+            const sections = this.getAllSections();
+            console.log('✅ Base Navigation System initialized');
+            console.log(`📄 Sections found: ${sections.length}`);
+            window.dispatchEvent(new CustomEvent('baseScriptLoaded', { detail: { sections } }));
         });
     }
 
-    scrollToSection(sectionId, updateHash = true) {
-        const section = NAV_STATE.sections.find(s => s.id === sectionId);
-        if (!section) {
-            console.warn(`⚠️ Section "${sectionId}" not found`);
+    // navigation.js from the page, from script.js (loadNavigationCore) or
+    // fetched here - through the same tag, so it is requested only once
+    loadCore(callback) {
+        if (window.EduNavigation) {
+            callback();
             return;
         }
-        NAV_STATE.scrolling = true;
-        const targetPosition = section.element.offsetTop - this.config.scrollOffset;
-        if (this.config.smoothScroll) {
-            this.smoothScrollTo(targetPosition, () => {
-                NAV_STATE.scrolling = false;
-                if (updateHash && this.config.enableHashNavigation) {
-                    this.updateHash(sectionId);
-                }
-                setTimeout(() => this.updateActiveSection(), 100);
-            });
-        } else {
-            window.scrollTo(0, targetPosition);
-            NAV_STATE.scrolling = false;
-            if (updateHash && this.config.enableHashNavigation) {
-                this.updateHash(sectionId);
-            }
-            this.updateActiveSection();
-        }
-    }
-
-    smoothScrollTo(targetPosition, callback) {
-        const startPosition = window.pageYOffset;
-        const distance = targetPosition - startPosition;
-        const duration = this.config.scrollDuration;
-        let startTime = null;
-        function animation(currentTime) {
-            if (startTime === null) startTime = currentTime;
-            const timeElapsed = currentTime - startTime;
-            const progress = Math.min(timeElapsed / duration, 1);
-            const ease = progress < 0.5 ? 4 * progress * progress * progress : 1 - Math.pow(-2 * progress + 2, 3) / 2;
-            window.scrollTo(0, startPosition + distance * ease);
-            if (timeElapsed < duration) {
-                requestAnimationFrame(animation);
-            } else {
-                if (callback) callback();
-            }
-        }
-        requestAnimationFrame(animation);
-    }
-
-    toggleSidebar() {
-        NAV_STATE.sidebarOpen = !NAV_STATE.sidebarOpen;
-        const sidebar = document.querySelector(this.config.selectors.sidebar);
-        const mobileMenuBtns = document.querySelectorAll(this.config.selectors.mobileMenuBtn);
-        if (sidebar) {
-            sidebar.classList.toggle('active', NAV_STATE.sidebarOpen);
-            sidebar.classList.toggle('open', NAV_STATE.sidebarOpen);
-        }
-        mobileMenuBtns.forEach(btn => {
-            btn.classList.toggle('active', NAV_STATE.sidebarOpen);
-        });
-        if (NAV_STATE.isMobile) {
-            document.body.style.overflow = NAV_STATE.sidebarOpen ? 'hidden' : '';
+        if (typeof loadNavigationCore === 'function') {
+            loadNavigationCore(callback);
+            return;
         }
-        console.log(`📱 Sidebar ${NAV_STATE.sidebarOpen ? 'opened' : 'closed'}`);
-    }
-
-    openSidebar() {
-        if (NAV_STATE.sidebarOpen) return;
-        this.toggleSidebar();
-    }
-
-    closeSidebar() {
-        if (!NAV_STATE.sidebarOpen) return;
-        this.toggleSidebar();
-    }
-
-    setupResizeHandler() {
-        let resizeTimer;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimer);
-            resizeTimer = setTimeout(() => {
-                this.handleResize();
-            }, 250);
-        });
-    }
 
-    handleResize() {
-        const wasMobile = NAV_STATE.isMobile;
-        this.detectDevice();
-        this.recalculateSections();
-        if (wasMobile && !NAV_STATE.isMobile && NAV_STATE.sidebarOpen) {
-            this.closeSidebar();
+        let tag = document.querySelector('script[data-shared-script="EduNavigation"]');
+        if (!tag) {
+            tag = document.createElement('script');
+            tag.src = this.config.navigationScriptUrl;
+            tag.setAttribute('data-shared-script', 'EduNavigation');
+            document.head.appendChild(tag);
         }
-        this.updateActiveSection();
-    }
-
-    recalculateSections() {
-        NAV_STATE.sections.forEach(section => {
-            section.offsetTop = section.element.offsetTop;
-            section.offsetBottom = section.element.offsetTop + section.element.offsetHeight;
+        tag.addEventListener('load', () => {
+            if (window.EduNavigation) callback();
+            else console.error(`❌ ${tag.src} definiert EduNavigation nicht.`);
         });
-    }
-
-    setupKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeSidebar();
-            }
+        tag.addEventListener('error', () => {
+            console.error(`❌ ${tag.src} konnte nicht geladen werden – baseScript.js bleibt ohne Navigation.`);
         });
     }
 
     setupAccessibility() {
+        if (document.querySelector('.skip-link')) return;
         const skipLink = document.createElement('a');
         skipLink.href = '#main-content';
         skipLink.className = 'skip-link';
@@ -380,33 +107,20 @@ class BaseNavigation {
         document.body.insertBefore(skipLink, document.body.firstChild);
     }
 
-        getTargetId(link) {
-        let targetId = link.getAttribute('data-section');
-        if (!targetId) {
-            const href = link.getAttribute('href');
-            if (href && href.startsWith('#')) {
-                targetId = href.substring(1);
-            }
-        }
-        if (!targetId) {
-            const onclick = link.getAttribute('onclick');
-            if (onclick) {
-                const match = onclick.match(/['"]([^'"]+)['"]/);
-                if (match) {
-                    targetId = match[1];
-                }
-            }
-        }
-        return targetId;
+    scrollToSection(sectionId, updateHash = true) {
+        if (this.nav) this.nav.goTo(sectionId, { updateHash });
     }
 
-    updateHash(sectionId) {
-        if (!this.config.enableHashNavigation) return;
-        if (history.pushState) {
-            history.pushState(null, null, `#${sectionId}`);
-        } else {
-            window.location.hash = sectionId;
-        }
+    toggleSidebar() {
+        if (this.nav) this.nav.toggleSidebar();
+    }
+
+    openSidebar() {
+        if (this.nav) this.nav.openSidebar();
+    }
+
+    closeSidebar() {
+        if (this.nav) this.nav.closeSidebar();
     }
 
     scrollTo(sectionId) {
@@ -414,17 +128,15 @@ class BaseNavigation {
     }
 
     getCurrentSection() {
-        return NAV_STATE.currentSection;
+        return this.nav ? this.nav.current : null;
     }
 
     getAllSections() {
-        return NAV_STATE.sections.map(s => s.id);
+        return this.nav ? this.nav.getSectionIds() : [];
     }
 
     refresh() {
-        this.collectSections();
-        this.recalculateSections();
-        this.updateActiveSection();
+        if (this.nav) this.nav.refresh();
     }
 }
 
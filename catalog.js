@@ -0,0 +1,207 @@
+/**
+ * ==========================================================
+ * edu-mrh.de – Karten aus dem Seitenkatalog (catalog.js)
+ * ==========================================================
+ * Baut Fach- und Themenkarten aus site-catalog.js, das
+ * tools/build-catalog.js aus der Ordnerstruktur erzeugt. Neue Seiten
+ * erscheinen dadurch automatisch – niemand muss sie von Hand verlinken.
+ *
+ * Einbindung:
+ *
+ *   <script defer src="https://edu-mrh.de/catalog.js"></script>
+ *
+ * Platzhalter (Inhalt im Element bleibt stehen, falls der Katalog fehlt):
+ *
+ *   <div data-catalog="subjects"></div>
+ *       Karten aller Fächer (Startseite)
+ *
+ *   <div data-catalog="topics" data-subject="informatik" data-grade="12"></div>
+ *       Themenkarten eines Fachs, nach Jahrgangsstufe gruppiert
+ *       (data-grade optional)
+ *
+ *   <section data-catalog="topics" data-subject="informatik" data-missing
+ *            data-title="Neu im Fach"></section>
+ *       nur Seiten, die auf der aktuellen Seite noch nirgends verlinkt
+ *       sind; bleibt unsichtbar, solange nichts fehlt
+ *
+ * data-catalog-src am <script>-Tag ändert die Adresse des Katalogs
+ * (Standard: site-catalog.js neben diesem Skript).
+ */
+
+(function () {
+    'use strict';
+
+    var script = document.currentScript || (function () {
+        var s = document.getElementsByTagName('script');
+        return s[s.length - 1];
+    })();
+    var cfg = (script && script.dataset) || {};
+    var baseUrl = script && script.src ? script.src.replace(/[^/]*$/, '') : 'https://edu-mrh.de/';
+    var catalogUrl = cfg.catalogSrc || baseUrl + 'site-catalog.js';
+
+    function ready(fn) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', fn);
+        } else {
+            fn();
+        }
+    }
+
+    function loadCatalog(callback) {
+        if (window.EDU_CATALOG) {
+            callback(window.EDU_CATALOG);
+            return;
+        }
+        var tag = document.createElement('script');
+        tag.src = catalogUrl;
+        tag.onload = function () {
+            if (window.EDU_CATALOG) callback(window.EDU_CATALOG);
+        };
+        // Ohne Katalog bleibt der statische Inhalt der Platzhalter stehen
+        document.head.appendChild(tag);
+    }
+
+    // ---- Hilfen -----------------------------------------------------
+    function el(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text) node.textContent = text;
+        return node;
+    }
+
+    function link(href, text, className) {
+        var a = el('a', className, text);
+        a.href = /^[a-z]+:/i.test(href) ? href : baseUrl + href;
+        return a;
+    }
+
+    // Pfad ohne Host und Kodierung
+    function pathKey(href) {
+        var a = document.createElement('a');
+        a.href = href;
+        try {
+            return decodeURIComponent(a.pathname).toLowerCase();
+        } catch (e) {
+            return a.pathname.toLowerCase();
+        }
+    }
+
+    function linkedPaths(except) {
+        var paths = [];
+        var links = document.querySelectorAll('a[href]');
+        for (var i = 0; i < links.length; i++) {
+            if (!except.contains(links[i])) paths.push(pathKey(links[i].href));
+        }
+        return paths;
+    }
+
+    // Vergleich über das Pfadende, damit auch lokal geöffnete Seiten
+    // (file:///…/informatik/…) zu den Katalog-Pfaden passen
+    function isLinked(linked, url) {
+        var key = '/' + pathKey(baseUrl + url).replace(pathKey(baseUrl), '');
+        for (var i = 0; i < linked.length; i++) {
+            var path = linked[i];
+            if (path.slice(-key.length) === key) return true;
+        }
+        return false;
+    }
+
+    // ---- Fächer -----------------------------------------------------
+    function renderSubjects(container, catalog) {
+        var grid = el('div', 'info-grid');
+        catalog.subjects.forEach(function (subject) {
+            var card = el('div', 'info-card');
+            card.appendChild(el('div', 'info-icon', subject.icon));
+            card.appendChild(el('h3', '', subject.name));
+            card.appendChild(el('p', '', subject.description));
+            var actions = el('div', 'mt-2');
+            actions.appendChild(link(subject.url, 'Zum Fachbereich', 'btn btn-primary'));
+            card.appendChild(actions);
+            grid.appendChild(card);
+        });
+        container.innerHTML = '';
+        container.appendChild(grid);
+    }
+
+    // ---- Themen -----------------------------------------------------
+    function topicCard(topic, pages, showMain) {
+        var card = el('div', 'info-card');
+        card.appendChild(el('h3', '', topic.title));
+        if (topic.description) card.appendChild(el('p', '', topic.description));
+
+        var actions = el('div', 'mt-2 catalog-links');
+        if (showMain) actions.appendChild(link(topic.url, 'Zur Seite', 'btn btn-primary'));
+        pages.forEach(function (page) {
+            actions.appendChild(link(page.url, page.title, 'btn btn-outline'));
+        });
+        card.appendChild(actions);
+
+        if (topic.assets.length > 0) {
+            card.appendChild(el('p', 'catalog-assets',
+                '📎 ' + topic.assets.length + (topic.assets.length === 1 ? ' Material' : ' Materialien')));
+        }
+        return card;
+    }
+
+    function renderTopics(container, catalog) {
+        var subjectId = container.getAttribute('data-subject');
+        var grade = container.getAttribute('data-grade');
+        var onlyMissing = container.hasAttribute('data-missing');
+        var linked = onlyMissing ? linkedPaths(container) : null;
+        var subject = catalog.subjects.filter(function (s) { return s.subject === subjectId; })[0];
+
+        var groups = {};
+        var order = [];
+        catalog.topics.forEach(function (topic) {
+            if (topic.subject !== subjectId) return;
+            if (grade && topic.grade !== grade) return;
+
+            var pages = topic.pages.filter(function (page) { return !page.nested; });
+            var showMain = true;
+            if (onlyMissing) {
+                showMain = !isLinked(linked, topic.url);
+                pages = pages.filter(function (page) { return !isLinked(linked, page.url); });
+                if (!showMain && pages.length === 0) return;
+            }
+
+            if (!groups[topic.grade]) {
+                groups[topic.grade] = el('div', 'info-grid');
+                order.push(topic.grade);
+            }
+            groups[topic.grade].appendChild(topicCard(topic, pages, showMain));
+        });
+
+        if (order.length === 0) {
+            if (onlyMissing) container.hidden = true;
+            return;
+        }
+
+        container.innerHTML = '';
+        if (container.getAttribute('data-title')) {
+            container.appendChild(el('h2', '', container.getAttribute('data-title')));
+        }
+        order.forEach(function (key) {
+            if (!grade) {
+                var header = el('div', 'chapter-header');
+                header.appendChild(el('span', 'chapter-number', key ? 'Klasse ' + key : 'Weitere'));
+                header.appendChild(el('h2', '', subject ? subject.name : subjectId));
+                container.appendChild(header);
+            }
+            container.appendChild(groups[key]);
+        });
+        container.hidden = false;
+    }
+
+    ready(function () {
+        var containers = document.querySelectorAll('[data-catalog]');
+        if (containers.length === 0) return;
+
+        loadCatalog(function (catalog) {
+            Array.prototype.forEach.call(containers, function (container) {
+                var mode = container.getAttribute('data-catalog');
+                if (mode === 'subjects') renderSubjects(container, catalog);
+                if (mode === 'topics') renderTopics(container, catalog);
+            });
+        });
+    });
+})();
@@ -0,0 +1,70 @@
+/**
+ * ==========================================
+ * TEILNAHMEBESTÄTIGUNG (zertifikat.html)
+ * ==========================================
+ * Gemeinsamer Teil von printCertificate(): Adresse der Druckseite, der
+ * gemerkte Name und das Datenformat. Standard-Seiten bekommen die Datei
+ * über embed/script.js (lädt sie mit dem Abschluss-Dialog nach); eigene
+ * Kurse wie informatik/12/nebenlaeufigkeit binden sie selbst ein:
+ *
+ *   <script src="https://edu-mrh.de/certificate.js"></script>
+ *
+ *   EduCertificate.build(name, items, details)  Daten für zertifikat.html
+ *   EduCertificate.open(data)                   merkt den Namen, öffnet die Seite
+ *
+ * items: [{ title, done, score?, maxScore? }] – "done" heißt bearbeitet
+ * (Abschnitt bis zum Ende gelesen, Aufgabe gelöst), nicht nur aufgerufen.
+ * details: { topic, subject } überschreibt, was aus der Seite gelesen wird.
+ *
+ * Alle Angaben stehen im Anker der URL – nichts verlässt den Browser.
+ */
+
+'use strict';
+
+const EduCertificate = {
+    url: 'https://edu-mrh.de/zertifikat.html',
+    nameKey: 'site_certificate_name',
+
+    loadName() {
+        try {
+            return localStorage.getItem(this.nameKey) || '';
+        } catch (e) {
+            return ''; // Private mode: field starts empty
+        }
+    },
+
+    saveName(name) {
+        try {
+            localStorage.setItem(this.nameKey, name);
+        } catch (e) {
+            // Private mode: name is not remembered
+        }
+    },
+
+    build(name, items, details = {}) {
+        const hero = document.querySelector('.hero-title, h1');
+        const subtitle = document.querySelector('.hero-subtitle');
+        return {
+            name,
+            topic: details.topic || (hero ? hero.textContent.trim() : document.title.split('|')[0].trim()),
+            subject: details.subject || (subtitle ? subtitle.textContent.trim() : ''),
+            date: new Date().toISOString().slice(0, 10),
+            url: window.location.origin + window.location.pathname,
+            items
+        };
+    },
+
+    open(data) {
+        this.saveName(data.name);
+        const url = `${this.url}#${encodeURIComponent(JSON.stringify(data))}`;
+        if (!window.open(url, '_blank')) {
+            window.location.href = url;
+        }
+    }
+};
+
+window.EduCertificate = EduCertificate;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EduCertificate;
+}
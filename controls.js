@@ -13,8 +13,8 @@
  * Abhängigkeiten) und erkennt vorhandene Elemente: Hat die Seite bereits
  * einen Impressum-Link oder einen Übersicht-/Zurück-Button (z. B. weil sie
  * auf der Standard-Vorlage basiert), wird das jeweilige Element NICHT
- * doppelt eingefügt. Seiten mit vollständiger Standard-Navigation bleiben
- * also unverändert.
+ * doppelt eingefügt. Seiten mit vollständiger Standard-Navigation erhalten
+ * also nur das Menü „Darstellung“ (siehe unten).
  *
  * Anpassung über data-Attribute am <script>-Tag (alle optional):
  *   data-back="…"       Ziel des Zurück-Buttons (Standard: Browser-Verlauf,
@@ -23,6 +23,43 @@
  *   data-impressum="…"  Ziel des Impressum-Links
  *                       (Standard: https://edu-mrh.de/contribute.html#impressum)
  *   data-position="left" | "right"   Ecke unten links/rechts (Standard: left)
+ *   data-darkmode="off" | "native"   Dunkelmodus-Umschalter weglassen bzw.
+ *                       die Seite bringt eigene html.dark-mode-Regeln mit
+ *                       (Standard: Farben werden invertiert)
+ *
+ *   data-a11y="off"     Menü „Darstellung“ weglassen (gespeicherte
+ *                       Einstellungen werden trotzdem angewendet)
+ *   data-breadcrumb="off"   Brotkrumenpfad und Nachbarthemen weglassen
+ *   data-title="…"      Name dieser Seite im Brotkrumenpfad
+ *                       (Standard: Seitentitel bzw. Titel im Katalog)
+ *   data-catalog-src="…"    Adresse des Seitenkatalogs
+ *                       (Standard: site-catalog.js neben diesem Skript)
+ *
+ * Dunkelmodus: Seiten ohne Standard-Navbar bekommen hier einen 🌙-Umschalter.
+ * Er teilt sich Klasse (html.dark-mode) und gespeicherte Wahl
+ * (localStorage "darkMode") mit dem Navbar-Umschalter aus script.js.
+ *
+ * Darstellung (Barrierefreiheit): Der „Aa“-Button öffnet ein Menü mit
+ * Schriftgröße, Zeilenabstand, leseleichter Schrift, hohem Kontrast,
+ * reduzierten Animationen und unterstrichenen Links. Die Wahl gilt für die
+ * ganze Website (localStorage "eduAccessibility") und wird als Klassen
+ * html.edu-a11y-… bzw. als Schriftgröße am <html> gesetzt – sofort beim
+ * Laden, damit nichts aufblitzt. Die leseleichte Schrift (Atkinson
+ * Hyperlegible, SIL OFL) liegt unter fonts/ neben diesem Skript und wird
+ * erst geladen, wenn jemand sie einschaltet.
+ * Änderungen lösen das Ereignis "accessibility:change" (detail = Einstellungen)
+ * aus; script.js schaltet damit u. a. seine Scroll-Animationen ab.
+ * Auf Standard-Seiten lädt embed/script.js dieses Skript automatisch nach.
+ *
+ * Brotkrumenpfad: Aus dem Pfad <fach>/<jahrgangsstufe>/<thema>/… und dem
+ * Seitenkatalog (site-catalog.js, siehe catalog.js) entsteht oben auf der
+ * Seite „Startseite › Informatik › Klasse 11 › Graphen“ – jede Stufe ist
+ * ein Link, die Jahrgangsstufe führt zu ihrem Abschnitt auf der Fachseite.
+ * Daneben stehen Links zum vorherigen/nächsten Thema derselben Fach- und
+ * Jahrgangsstufe. Ohne Katalog oder außerhalb der Fach-Ordner entfällt
+ * beides. Der Pfad erscheint am Anfang von <main> (bzw. <body>) oder in
+ * einem Element mit data-edu-breadcrumb. Der Zurück-Button nutzt die
+ * letzte Stufe des Pfads als Rückfallebene.
  */
 
 (function () {
@@ -33,6 +70,8 @@
         return s[s.length - 1];
     })();
     var cfg = (script && script.dataset) || {};
+    var baseUrl = script && script.src ? script.src.replace(/[^/]*$/, '') : 'https://edu-mrh.de/';
+    var catalogUrl = cfg.catalogSrc || baseUrl + 'site-catalog.js';
 
     function ready(fn) {
         if (document.readyState === 'loading') {
@@ -42,6 +81,104 @@
         }
     }
 
+    function loadCatalog(callback) {
+        if (window.EDU_CATALOG) {
+            callback(window.EDU_CATALOG);
+            return;
+        }
+        var tag = document.createElement('script');
+        tag.src = catalogUrl;
+        tag.onload = function () {
+            if (window.EDU_CATALOG) callback(window.EDU_CATALOG);
+        };
+        // Ohne Katalog bleibt die Seite ohne Brotkrumenpfad
+        document.head.appendChild(tag);
+    }
+
+    function decode(part) {
+        try { return decodeURIComponent(part); } catch (e) { return part; }
+    }
+
+    // ---- Darstellung (Barrierefreiheit) ---------------------------------
+    var A11Y_KEY = 'eduAccessibility';
+    var FONT_STEPS = [100, 115, 130, 150, 175];
+    var A11Y_DEFAULTS = {
+        font: 100,           // Schriftgröße in % der Browser-Einstellung
+        spacing: 'normal',   // Zeilenabstand: normal | wide | wider
+        dyslexia: false,     // leseleichte Schrift (Atkinson Hyperlegible)
+        contrast: false,     // hoher Kontrast
+        motion: false,       // Animationen reduzieren
+        underline: false     // Links unterstreichen
+    };
+
+    function loadA11y() {
+        var saved = {};
+        try { saved = JSON.parse(localStorage.getItem(A11Y_KEY)) || {}; } catch (e) { /* ungültig */ }
+        var prefs = {};
+        for (var key in A11Y_DEFAULTS) {
+            prefs[key] = typeof saved[key] === typeof A11Y_DEFAULTS[key] ? saved[key] : A11Y_DEFAULTS[key];
+        }
+        if (FONT_STEPS.indexOf(prefs.font) === -1) prefs.font = 100;
+        return prefs;
+    }
+
+    function saveA11y(prefs) {
+        try { localStorage.setItem(A11Y_KEY, JSON.stringify(prefs)); } catch (e) { /* private mode */ }
+    }
+
+    function applyA11y(prefs) {
+        var root = document.documentElement;
+        root.style.fontSize = prefs.font !== 100 ? prefs.font + '%' : '';
+        root.classList.toggle('edu-a11y-spacing-wide', prefs.spacing === 'wide');
+        root.classList.toggle('edu-a11y-spacing-wider', prefs.spacing === 'wider');
+        root.classList.toggle('edu-a11y-dyslexia', prefs.dyslexia);
+        root.classList.toggle('edu-a11y-contrast', prefs.contrast);
+        root.classList.toggle('edu-a11y-reduced-motion', prefs.motion);
+        root.classList.toggle('edu-a11y-underline', prefs.underline);
+    }
+
+    // Regeln und gespeicherte Wahl sofort anwenden, nicht erst nach
+    // DOMContentLoaded – sonst springt das Layout nach dem ersten Zeichnen
+    var a11yStyle = document.createElement('style');
+    a11yStyle.textContent =
+        'html.edu-a11y-spacing-wide body,html.edu-a11y-spacing-wide p,' +
+        'html.edu-a11y-spacing-wide li,html.edu-a11y-spacing-wide dd,' +
+        'html.edu-a11y-spacing-wide td{line-height:1.9 !important;}' +
+        'html.edu-a11y-spacing-wider body,html.edu-a11y-spacing-wider p,' +
+        'html.edu-a11y-spacing-wider li,html.edu-a11y-spacing-wider dd,' +
+        'html.edu-a11y-spacing-wider td{line-height:2.3 !important;}' +
+        'html.edu-a11y-spacing-wider p,html.edu-a11y-spacing-wider li{margin-bottom:.8em;}' +
+        // Atkinson Hyperlegible unterscheidet ähnliche Zeichen (I/l/1, O/0)
+        // deutlich; selbst gehostet, Verdana als Ersatz bis sie geladen ist
+        '@font-face{font-family:"Edu Atkinson Hyperlegible";font-style:normal;font-weight:400;' +
+        'font-display:swap;src:url("' + baseUrl + 'fonts/atkinson-hyperlegible-latin-400-normal.woff2") format("woff2");}' +
+        '@font-face{font-family:"Edu Atkinson Hyperlegible";font-style:normal;font-weight:700;' +
+        'font-display:swap;src:url("' + baseUrl + 'fonts/atkinson-hyperlegible-latin-700-normal.woff2") format("woff2");}' +
+        'html.edu-a11y-dyslexia body{font-family:"Edu Atkinson Hyperlegible",Verdana,Tahoma,' +
+        'sans-serif !important;letter-spacing:.04em;word-spacing:.14em;}' +
+        'html.edu-a11y-dyslexia body *{font-family:inherit !important;}' +
+        'html.edu-a11y-dyslexia pre,html.edu-a11y-dyslexia pre *,html.edu-a11y-dyslexia code,' +
+        'html.edu-a11y-dyslexia code *,html.edu-a11y-dyslexia kbd,html.edu-a11y-dyslexia samp' +
+        '{font-family:Consolas,"Courier New",monospace !important;letter-spacing:0;word-spacing:0;}' +
+        'html.edu-a11y-dyslexia em,html.edu-a11y-dyslexia i{font-style:normal;font-weight:600;}' +
+        // Kontrast: Grautöne der Standard-Vorlage abdunkeln, alles andere
+        // über einen Kontrastfilter
+        'html.edu-a11y-contrast:not(.dark-mode){--gray:#1e293b;--dark-light:#0f172a;' +
+        '--gray-light:#475569;--primary-color:#1d4ed8;--primary-dark:#1e3a8a;}' +
+        'html.edu-a11y-contrast{filter:contrast(1.3);}' +
+        'html.edu-dark-fallback.dark-mode.edu-a11y-contrast{filter:invert(1) hue-rotate(180deg) contrast(1.3);}' +
+        'html.edu-a11y-contrast *{text-shadow:none !important;}' +
+        'html.edu-a11y-contrast :focus-visible{outline:3px solid #f59e0b !important;outline-offset:2px;}' +
+        'html.edu-a11y-reduced-motion *,html.edu-a11y-reduced-motion *::before,' +
+        'html.edu-a11y-reduced-motion *::after{animation-duration:.01ms !important;' +
+        'animation-iteration-count:1 !important;transition-duration:.01ms !important;' +
+        'transition-delay:0s !important;scroll-behavior:auto !important;}' +
+        'html.edu-a11y-underline a:not(.btn){text-decoration:underline !important;' +
+        'text-underline-offset:.15em;}' +
+        '@media print{html.edu-a11y-contrast{filter:none;}}';
+    (document.head || document.documentElement).appendChild(a11yStyle);
+    applyA11y(loadA11y());
+
     ready(function () {
         // ---- Vorhandene Bedienelemente erkennen -------------------------
         var links = document.querySelectorAll('a[href]');
@@ -58,12 +195,20 @@
                 hasBack = true;
             }
         }
-        if (hasImpressum && hasBack) return; // Seite ist bereits vollständig
+        // Standard-Layout: Umschalter sitzt in der Navbar (script.js)
+        var needsDarkToggle = cfg.darkmode !== 'off' &&
+            !document.querySelector('.navbar .nav-links');
+        var needsA11yMenu = cfg.a11y !== 'off';
+        // Seiten direkt in der Wurzel (Startseite, Zertifikat) liegen in keinem Fach
+        var needsBreadcrumb = cfg.breadcrumb !== 'off' &&
+            (location.protocol === 'file:' || location.pathname.split('/').filter(Boolean).length > 1);
+        if (hasImpressum && hasBack && !needsDarkToggle && !needsA11yMenu && !needsBreadcrumb) return; // Seite ist bereits vollständig
 
         // ---- Ziele bestimmen --------------------------------------------
         var impressumUrl = cfg.impressum || 'https://edu-mrh.de/contribute.html#impressum';
         var homeUrl = cfg.home ||
             (location.protocol === 'file:' ? null : location.origin + '/');
+        var parentUrl = null; // letzte verlinkte Stufe des Brotkrumenpfads
 
         function goBack() {
             if (cfg.back) {
@@ -74,6 +219,8 @@
                 document.referrer.indexOf(location.host) !== -1;
             if (sameSiteReferrer && history.length > 1) {
                 history.back();
+            } else if (parentUrl) {
+                location.href = parentUrl;
             } else {
                 // übergeordneter Ordner als Rückfallebene
                 var path = location.pathname.replace(/\/[^/]*$/, '/');
@@ -81,6 +228,282 @@
             }
         }
 
+        // ---- Brotkrumenpfad und Nachbarthemen -----------------------------
+        // "Graphen in der Informatik - Klasse 11" → "Graphen in der Informatik"
+        function shortTitle(title) {
+            var text = String(title || '').replace(/\s+/g, ' ').trim();
+            text = text.split(/\s[-–—|]\s/)[0] || text;
+            return text.length > 45 ? text.slice(0, 42).replace(/\s+\S*$/, '') + ' …' : text;
+        }
+
+        function findSubject(catalog, folder) {
+            for (var s = 0; s < catalog.subjects.length; s++) {
+                if (catalog.subjects[s].subject.toLowerCase() === folder) return catalog.subjects[s];
+            }
+            return null;
+        }
+
+        // Ort der Seite im Katalog; root ist die Seitenwurzel, damit die
+        // Links auch in der lokalen Vorschau (file://) stimmen
+        function locatePage(catalog) {
+            var raw = location.pathname.split('/').filter(Boolean);
+            var parts = raw.map(function (part) { return decode(part).toLowerCase(); });
+
+            for (var i = 0; i < parts.length - 1; i++) {
+                var subject = findSubject(catalog, parts[i]);
+                if (!subject) continue;
+
+                var rest = parts.slice(i + 1);
+                var grade = rest.length > 1 && /^\d+$/.test(rest[0]) ? rest.shift() : '';
+                var topicId = rest[0].replace(/\.html?$/, '');
+                var topic = null;
+                catalog.topics.forEach(function (t) {
+                    if (t.subject === subject.subject && t.grade === grade &&
+                        t.topic.toLowerCase() === topicId) topic = t;
+                });
+
+                return {
+                    root: location.protocol + '//' + location.host + '/' +
+                        raw.slice(0, i).map(function (part) { return part + '/'; }).join(''),
+                    path: parts.join('/'),
+                    subject: subject,
+                    grade: grade,
+                    topic: topic
+                };
+            }
+            return null;
+        }
+
+        function isCurrent(place, url) {
+            var key = decode(url).toLowerCase();
+            return place.path.slice(-key.length) === key;
+        }
+
+        function crumbLink(href, text, className) {
+            var a = document.createElement('a');
+            a.href = href;
+            a.textContent = text;
+            if (className) a.className = className;
+            return a;
+        }
+
+        function renderBreadcrumb(catalog) {
+            var place = locatePage(catalog);
+            if (!place) return;
+
+            var crumbs = [
+                { text: 'Startseite', href: homeUrl || place.root + 'index.html' },
+                { text: place.subject.name, href: place.root + place.subject.url }
+            ];
+            if (place.grade) {
+                crumbs.push({
+                    text: 'Klasse ' + place.grade,
+                    href: place.root + place.subject.url + '#jahrgang-' + place.grade
+                });
+            }
+
+            var topic = place.topic;
+            var pageTitle = document.title;
+            if (topic && isCurrent(place, topic.url)) {
+                pageTitle = topic.title;
+            } else if (topic) {
+                crumbs.push({ text: shortTitle(topic.title), href: place.root + topic.url });
+                topic.pages.forEach(function (page) {
+                    if (isCurrent(place, page.url)) pageTitle = page.title;
+                });
+            }
+            crumbs.push({ text: cfg.title || shortTitle(pageTitle) });
+            parentUrl = crumbs[crumbs.length - 2].href;
+
+            var nav = document.createElement('nav');
+            nav.className = 'edu-breadcrumb';
+            nav.setAttribute('aria-label', 'Brotkrumenpfad');
+
+            var list = document.createElement('ol');
+            crumbs.forEach(function (crumb) {
+                var item = document.createElement('li');
+                if (crumb.href) {
+                    item.appendChild(crumbLink(crumb.href, crumb.text));
+                } else {
+                    var current = document.createElement('span');
+                    current.textContent = crumb.text;
+                    current.setAttribute('aria-current', 'page');
+                    item.appendChild(current);
+                }
+                list.appendChild(item);
+            });
+            nav.appendChild(list);
+
+            // Nachbarthemen derselben Fach- und Jahrgangsstufe (Katalog-Reihenfolge)
+            if (topic && place.grade) {
+                var siblings = catalog.topics.filter(function (t) {
+                    return t.subject === topic.subject && t.grade === topic.grade;
+                });
+                var index = siblings.indexOf(topic);
+                var prev = siblings[index - 1];
+                var next = siblings[index + 1];
+                if (prev || next) {
+                    var neighbours = document.createElement('div');
+                    neighbours.className = 'edu-topic-nav';
+                    if (prev) {
+                        var prevLink = crumbLink(place.root + prev.url, '‹ ' + shortTitle(prev.title));
+                        prevLink.rel = 'prev';
+                        prevLink.title = 'Vorheriges Thema: ' + prev.title;
+                        neighbours.appendChild(prevLink);
+                    }
+                    if (next) {
+                        var nextLink = crumbLink(place.root + next.url, shortTitle(next.title) + ' ›');
+                        nextLink.rel = 'next';
+                        nextLink.title = 'Nächstes Thema: ' + next.title;
+                        neighbours.appendChild(nextLink);
+                    }
+                    nav.appendChild(neighbours);
+                }
+            }
+
+            var slot = document.querySelector('[data-edu-breadcrumb]') ||
+                document.querySelector('.main-content > .container') ||
+                document.querySelector('main') ||
+                document.body;
+            slot.insertBefore(nav, slot.firstChild);
+        }
+
+        // ---- Dunkelmodus ------------------------------------------------
+        function savedDarkMode() {
+            try { return localStorage.getItem('darkMode') === 'true'; } catch (e) { return false; }
+        }
+
+        function createDarkToggle() {
+            var root = document.documentElement;
+            if (cfg.darkmode !== 'native') root.classList.add('edu-dark-fallback');
+            // Nur eine ausdrückliche Wahl übernehmen: viele freie Seiten sind
+            // bereits dunkel gestaltet und würden sonst hell invertiert.
+            if (savedDarkMode()) root.classList.add('dark-mode');
+
+            var btn = document.createElement('button');
+            btn.type = 'button';
+            function update() {
+                var dark = root.classList.contains('dark-mode');
+                btn.innerHTML = dark ? '&#9728;&#65039;' : '&#127769;';
+                btn.title = dark ? 'Helles Design' : 'Dunkles Design';
+                btn.setAttribute('aria-label', btn.title);
+                btn.setAttribute('aria-pressed', String(dark));
+            }
+            btn.addEventListener('click', function () {
+                var dark = !root.classList.contains('dark-mode');
+                root.classList.toggle('dark-mode', dark);
+                try { localStorage.setItem('darkMode', String(dark)); } catch (e) { /* private mode */ }
+                update();
+            });
+            update();
+            return btn;
+        }
+
+        // ---- Menü „Darstellung“ -------------------------------------------
+        function createA11yMenu() {
+            var prefs = loadA11y();
+            var wrap = document.createElement('div');
+            wrap.className = 'edu-a11y';
+
+            var btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'edu-a11y-toggle';
+            btn.textContent = 'Aa';
+            btn.title = 'Darstellung anpassen';
+            btn.setAttribute('aria-label', 'Darstellung anpassen (Schrift, Kontrast, Animationen)');
+            btn.setAttribute('aria-expanded', 'false');
+            btn.setAttribute('aria-controls', 'eduA11yPanel');
+
+            var panel = document.createElement('div');
+            panel.id = 'eduA11yPanel';
+            panel.className = 'edu-a11y-panel';
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-label', 'Darstellung');
+            panel.hidden = true;
+            panel.innerHTML =
+                '<strong>Darstellung</strong>' +
+                '<div class="edu-a11y-row"><span>Schriftgröße</span>' +
+                '<span class="edu-a11y-steps">' +
+                '<button type="button" data-font="-1" aria-label="Schrift verkleinern">A&#8722;</button>' +
+                '<output aria-live="polite"></output>' +
+                '<button type="button" data-font="1" aria-label="Schrift vergrößern">A+</button>' +
+                '</span></div>' +
+                '<label class="edu-a11y-row"><span>Zeilenabstand</span>' +
+                '<select data-pref="spacing"><option value="normal">normal</option>' +
+                '<option value="wide">groß</option><option value="wider">sehr groß</option></select></label>' +
+                '<label><input type="checkbox" data-pref="dyslexia"> Leseleichte Schrift</label>' +
+                '<label><input type="checkbox" data-pref="contrast"> Hoher Kontrast</label>' +
+                '<label><input type="checkbox" data-pref="motion"> Animationen reduzieren</label>' +
+                '<label><input type="checkbox" data-pref="underline"> Links unterstreichen</label>' +
+                '<button type="button" class="edu-a11y-reset">Zurücksetzen</button>' +
+                '<small>Gilt für alle Seiten von edu-mrh.de auf diesem Gerät.</small>';
+
+            var output = panel.querySelector('output');
+            var select = panel.querySelector('select');
+            var boxes = panel.querySelectorAll('input[type="checkbox"]');
+
+            function sync() {
+                output.textContent = prefs.font + ' %';
+                select.value = prefs.spacing;
+                for (var b = 0; b < boxes.length; b++) {
+                    boxes[b].checked = prefs[boxes[b].getAttribute('data-pref')];
+                }
+            }
+
+            function commit() {
+                applyA11y(prefs);
+                saveA11y(prefs);
+                sync();
+                var detail = {};
+                for (var key in prefs) detail[key] = prefs[key];
+                document.dispatchEvent(new CustomEvent('accessibility:change', { detail: detail }));
+            }
+
+            function setOpen(open) {
+                panel.hidden = !open;
+                btn.setAttribute('aria-expanded', String(open));
+                if (open) panel.querySelector('button, input, select').focus();
+            }
+
+            btn.addEventListener('click', function () { setOpen(panel.hidden); });
+
+            panel.addEventListener('click', function (e) {
+                var step = e.target.getAttribute('data-font');
+                if (step) {
+                    var index = FONT_STEPS.indexOf(prefs.font) + Number(step);
+                    prefs.font = FONT_STEPS[Math.max(0, Math.min(FONT_STEPS.length - 1, index))];
+                    commit();
+                } else if (e.target.classList.contains('edu-a11y-reset')) {
+                    for (var key in A11Y_DEFAULTS) prefs[key] = A11Y_DEFAULTS[key];
+                    commit();
+                }
+            });
+
+            panel.addEventListener('change', function (e) {
+                var key = e.target.getAttribute('data-pref');
+                if (!key) return;
+                prefs[key] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+                commit();
+            });
+
+            panel.addEventListener('keydown', function (e) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    setOpen(false);
+                    btn.focus();
+                }
+            });
+
+            document.addEventListener('click', function (e) {
+                if (!panel.hidden && !wrap.contains(e.target)) setOpen(false);
+            });
+
+            sync();
+            wrap.appendChild(panel);
+            wrap.appendChild(btn);
+            return wrap;
+        }
+
         // ---- Eigenes, isoliertes Styling --------------------------------
         var style = document.createElement('style');
         style.textContent =
@@ -95,7 +518,46 @@
             'font:inherit;transition:transform .15s ease,box-shadow .15s ease;}' +
             '.edu-controls a:hover,.edu-controls button:hover{transform:translateY(-1px);' +
             'box-shadow:0 4px 12px rgba(0,0,0,.2);background:#fff;}' +
-            '@media print{.edu-controls{display:none;}}';
+            '.edu-a11y{position:relative;display:flex;}' +
+            '.edu-controls .edu-a11y-toggle{font-weight:700;}' +
+            '.edu-a11y-panel{position:absolute;bottom:calc(100% + 8px);' +
+            (cfg.position === 'right' ? 'right' : 'left') + ':0;width:250px;' +
+            'display:flex;flex-direction:column;gap:10px;padding:14px;border-radius:12px;' +
+            'background:#fff;color:#1f2937;border:1px solid rgba(0,0,0,.15);' +
+            'box-shadow:0 8px 24px rgba(0,0,0,.2);line-height:1.3;}' +
+            '.edu-a11y-panel[hidden]{display:none;}' +
+            '.edu-a11y-panel label{display:flex;align-items:center;gap:8px;cursor:pointer;}' +
+            '.edu-a11y-row{display:flex;align-items:center;justify-content:space-between;gap:8px;}' +
+            '.edu-a11y-steps{display:inline-flex;align-items:center;gap:6px;}' +
+            '.edu-a11y-steps output{min-width:3.2em;text-align:center;}' +
+            '.edu-controls .edu-a11y-panel button{padding:5px 10px;box-shadow:none;backdrop-filter:none;}' +
+            '.edu-controls .edu-a11y-panel button:hover{transform:none;box-shadow:none;background:#f1f5f9;}' +
+            '.edu-a11y-panel select{font:inherit;padding:3px 4px;}' +
+            '.edu-a11y-panel small{color:#64748b;font-size:11px;}' +
+            '.edu-breadcrumb{position:relative;z-index:99989;display:flex;flex-wrap:wrap;' +
+            'align-items:center;justify-content:space-between;gap:6px 16px;margin:0 0 16px;' +
+            'padding:8px 14px;border-radius:10px;background:rgba(255,255,255,.92);color:#1f2937;' +
+            'box-shadow:0 1px 4px rgba(0,0,0,.12);font-family:system-ui,-apple-system,' +
+            '"Segoe UI",Roboto,sans-serif;font-size:13px;line-height:1.4;}' +
+            '.edu-breadcrumb ol{display:flex;flex-wrap:wrap;gap:4px;margin:0;padding:0;list-style:none;}' +
+            '.edu-breadcrumb li{margin:0;padding:0;color:inherit;font-size:inherit;}' +
+            '.edu-breadcrumb li+li::before{content:"\\203A";margin-right:4px;color:#94a3b8;}' +
+            '.edu-breadcrumb a{color:#2563eb;text-decoration:none;}' +
+            '.edu-breadcrumb a:hover{text-decoration:underline;}' +
+            '.edu-breadcrumb [aria-current]{font-weight:600;}' +
+            '.edu-topic-nav{display:flex;gap:12px;}' +
+            'html.dark-mode:not(.edu-dark-fallback) .edu-breadcrumb{background:rgba(30,41,59,.92);' +
+            'color:#e2e8f0;}' +
+            'html.dark-mode:not(.edu-dark-fallback) .edu-breadcrumb a{color:#93c5fd;}' +
+            '@media print{.edu-controls,.edu-breadcrumb{display:none;}}' +
+            // Dunkelmodus für Seiten ohne eigene Regeln: Farben invertieren,
+            // Fotos und Videos zurückdrehen
+            'html.edu-dark-fallback.dark-mode{filter:invert(1) hue-rotate(180deg);' +
+            'background:#fff;}' +
+            'html.edu-dark-fallback.dark-mode img,html.edu-dark-fallback.dark-mode video,' +
+            'html.edu-dark-fallback.dark-mode iframe,html.edu-dark-fallback.dark-mode .edu-controls' +
+            '{filter:invert(1) hue-rotate(180deg);}' +
+            '@media print{html.edu-dark-fallback.dark-mode{filter:none;}}';
         document.head.appendChild(style);
 
         // ---- Elemente einfügen -------------------------------------------
@@ -128,6 +590,15 @@
             bar.appendChild(imp);
         }
 
-        document.body.appendChild(bar);
+        if (needsDarkToggle) {
+            bar.appendChild(createDarkToggle());
+        }
+
+        if (needsA11yMenu) {
+            bar.appendChild(createA11yMenu());
+        }
+
+        if (bar.firstChild) document.body.appendChild(bar);
+        if (needsBreadcrumb) loadCatalog(renderBreadcrumb);
     });
 })();
@@ -0,0 +1,597 @@
+/**
+ * ==========================================
+ * SELBSTKONTROLLE UND SORTIERLISTEN
+ * ==========================================
+ * Aufgaben mit Prüfen-Button (data-exercise), Stufen (data-stages) und
+ * Drag-and-drop-Listen (data-sortable, data-order) – ganz ohne eigenes
+ * JavaScript der Seite. Standard-Seiten bekommen die Datei über
+ * embed/script.js (lädt sie nach, sobald solche Aufgaben auf der Seite
+ * stehen); frei gestaltete Seiten wie informatik/12/tiefensuche binden
+ * nur sie ein, ohne style.css und script.js:
+ *
+ *   <script defer src="https://edu-mrh.de/exercises.js"></script>
+ *
+ * Die Datei startet sich selbst (window.exerciseEngine,
+ * window.sortableLists). Das Aussehen bringt style.css mit; eigene Seiten
+ * gestalten .is-correct/.is-wrong, .success/.error im [data-feedback],
+ * [data-stage].active und .sortable-item selbst.
+ *
+ * Ergebnisse merkt sich der Browser je Seite
+ * (localStorage "site_exercise_results").
+ */
+
+'use strict';
+
+/**
+ * Element with attributes and text (script.js has its own createElement)
+ */
+function exerciseElement(tag, attributes = {}, text = '') {
+    const element = document.createElement(tag);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    if (text) element.textContent = text;
+    return element;
+}
+
+/**
+ * System setting or "Animationen reduzieren" from controls.js
+ */
+function reducedMotion() {
+    return document.documentElement.classList.contains('edu-a11y-reduced-motion') ||
+        Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+// ==========================================
+// SORTABLE LISTS
+// ==========================================
+/**
+ * Drag-and-drop reordering for any list - mouse, touch and keyboard.
+ *
+ *   <ol data-sortable aria-label="Algorithmus"> <li>…</li> … </ol>
+ *
+ * Lists with the same data-sortable-group exchange items
+ * (categorisation tasks). [data-order] lists of the exercise engine
+ * are sortable automatically.
+ *
+ * Keyboard: Space/Enter picks an item up and drops it again,
+ * ↑/↓ move it, ←/→ move it to the previous/next list of the group,
+ * Escape puts it back where it was.
+ */
+class SortableLists {
+    constructor() {
+        this.drag = null;
+        this.grabbed = null;
+        this.init();
+    }
+
+    init() {
+        this.lists = Array.from(document.querySelectorAll('[data-sortable], [data-order]'));
+        if (this.lists.length === 0) return;
+
+        this.liveRegion = exerciseElement('div', {
+            class: 'sr-only',
+            'aria-live': 'assertive',
+            'aria-atomic': 'true'
+        });
+        this.instructions = exerciseElement('p', { id: 'sortable-instructions', class: 'sr-only' },
+            'Leertaste zum Aufnehmen und Ablegen, Pfeiltasten zum Verschieben, Escape zum Abbrechen.');
+        document.body.append(this.liveRegion, this.instructions);
+
+        this.lists.forEach(list => {
+            list.classList.add('sortable');
+            this.getItems(list).forEach(item => this.setupItem(item));
+        });
+    }
+
+    setupItem(item) {
+        item.removeAttribute('draggable');
+        item.classList.add('sortable-item');
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('aria-roledescription', 'verschiebbares Element');
+        item.setAttribute('aria-describedby', 'sortable-instructions');
+
+        item.addEventListener('pointerdown', (e) => this.onPointerDown(e, item));
+        item.addEventListener('keydown', (e) => this.onKeyDown(e, item));
+        item.addEventListener('blur', () => {
+            if (this.grabbed && this.grabbed.item === item && !this.grabbed.moving) this.drop(item);
+        });
+    }
+
+    getItems(list) {
+        return Array.from(list.children).filter(el => el.tagName !== 'TEMPLATE');
+    }
+
+    getGroup(list) {
+        const group = list.dataset.sortableGroup;
+        return group
+            ? this.lists.filter(l => l.dataset.sortableGroup === group)
+            : [list];
+    }
+
+    getLabel(el) {
+        return el.getAttribute('aria-label') || el.dataset.label || el.textContent.trim().slice(0, 60);
+    }
+
+    announce(message) {
+        this.liveRegion.textContent = message;
+    }
+
+    describePosition(item) {
+        const list = item.parentElement;
+        const items = this.getItems(list);
+        let text = `Position ${items.indexOf(item) + 1} von ${items.length}`;
+        if (this.getGroup(list).length > 1) text += ` in „${this.getLabel(list)}“`;
+        return text;
+    }
+
+    // ---- Pointer (mouse + touch) -----------------------------------
+
+    onPointerDown(e, item) {
+        if (e.button !== 0 || e.target.closest('input, select, textarea, button, a')) return;
+
+        this.drag = { item, pointerId: e.pointerId, startY: e.clientY, startX: e.clientX, from: item.parentElement, active: false };
+        item.setPointerCapture(e.pointerId);
+
+        const move = (ev) => this.onPointerMove(ev);
+        const up = () => {
+            item.removeEventListener('pointermove', move);
+            item.removeEventListener('pointerup', up);
+            item.removeEventListener('pointercancel', up);
+            this.onPointerUp();
+        };
+        item.addEventListener('pointermove', move);
+        item.addEventListener('pointerup', up);
+        item.addEventListener('pointercancel', up);
+    }
+
+    onPointerMove(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        if (!drag.active) {
+            if (Math.abs(e.clientY - drag.startY) + Math.abs(e.clientX - drag.startX) < 5) return;
+            drag.active = true;
+            drag.item.classList.add('dragging');
+        }
+        e.preventDefault();
+
+        const target = document.elementFromPoint(e.clientX, e.clientY);
+        const list = target && target.closest('.sortable');
+        if (!list || !this.getGroup(drag.from).includes(list)) return;
+
+        const after = this.getDragAfterElement(list, e.clientY, drag.item);
+        if (after == null) {
+            list.appendChild(drag.item);
+        } else if (after !== drag.item.nextElementSibling) {
+            list.insertBefore(drag.item, after);
+        }
+    }
+
+    onPointerUp() {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || !drag.active) return;
+
+        drag.item.classList.remove('dragging');
+        this.notifyChange(drag.item, drag.from);
+    }
+
+    getDragAfterElement(list, y, dragged) {
+        return this.getItems(list)
+            .filter(el => el !== dragged)
+            .reduce((closest, child) => {
+                const box = child.getBoundingClientRect();
+                const offset = y - box.top - box.height / 2;
+                return offset < 0 && offset > closest.offset
+                    ? { offset, element: child }
+                    : closest;
+            }, { offset: Number.NEGATIVE_INFINITY }).element;
+    }
+
+    // ---- Keyboard --------------------------------------------------
+
+    onKeyDown(e, item) {
+        if (e.target !== item) return;
+
+        if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            if (this.grabbed && this.grabbed.item === item) {
+                this.drop(item);
+            } else {
+                if (this.grabbed) this.drop(this.grabbed.item);
+                this.grab(item);
+            }
+            return;
+        }
+
+        if (!this.grabbed || this.grabbed.item !== item) return;
+
+        switch (e.key) {
+            case 'ArrowUp':
+                e.preventDefault();
+                this.moveWithin(item, -1);
+                break;
+            case 'ArrowDown':
+                e.preventDefault();
+                this.moveWithin(item, 1);
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.moveToList(item, -1);
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.moveToList(item, 1);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.cancel(item);
+                break;
+        }
+    }
+
+    grab(item) {
+        this.grabbed = { item, from: item.parentElement, next: item.nextElementSibling, moving: false };
+        item.classList.add('grabbed');
+        item.setAttribute('aria-pressed', 'true');
+        this.announce(`„${this.getLabel(item)}“ aufgenommen, ${this.describePosition(item)}.`);
+    }
+
+    drop(item) {
+        const grabbed = this.grabbed;
+        this.grabbed = null;
+        item.classList.remove('grabbed');
+        item.removeAttribute('aria-pressed');
+        this.announce(`„${this.getLabel(item)}“ abgelegt, ${this.describePosition(item)}.`);
+        this.notifyChange(item, grabbed.from);
+    }
+
+    cancel(item) {
+        const { from, next } = this.grabbed;
+        this.place(item, from, next && next.parentElement === from ? next : null);
+        this.grabbed = null;
+        item.classList.remove('grabbed');
+        item.removeAttribute('aria-pressed');
+        this.announce(`Verschieben abgebrochen, ${this.describePosition(item)}.`);
+    }
+
+    moveWithin(item, direction) {
+        const list = item.parentElement;
+        const items = this.getItems(list);
+        const index = items.indexOf(item) + direction;
+        if (index < 0 || index >= items.length) return;
+
+        this.place(item, list, direction < 0 ? items[index] : items[index].nextElementSibling);
+        this.announce(this.describePosition(item));
+    }
+
+    moveToList(item, direction) {
+        const group = this.getGroup(item.parentElement);
+        const target = group[group.indexOf(item.parentElement) + direction];
+        if (!target) return;
+
+        this.place(item, target, null);
+        this.announce(this.describePosition(item));
+    }
+
+    /**
+     * Moves an item while keeping keyboard focus on it
+     */
+    place(item, list, before) {
+        if (this.grabbed) this.grabbed.moving = true;
+        list.insertBefore(item, before);
+        item.focus();
+        if (this.grabbed) this.grabbed.moving = false;
+    }
+
+    notifyChange(item, from) {
+        item.dispatchEvent(new CustomEvent('sortable:change', {
+            bubbles: true,
+            detail: { item, from, to: item.parentElement }
+        }));
+    }
+}
+
+// ==========================================
+// SELF-CHECK EXERCISES
+// ==========================================
+/**
+ * Turns markup into checked exercises - no page JavaScript needed.
+ *
+ *   <div data-exercise data-next data-success="…" data-error="…">
+ *       <input type="number" data-answer="5" data-tolerance="0.5">
+ *       <input type="text" data-answer="boolean|bool" data-match="contains" data-case-sensitive>
+ *       <input type="text" data-answer="^(a|an) apple$" data-match="regex">
+ *       <select data-answer="matrix">…</select>
+ *       <div data-choice>  <label><input type="checkbox" data-correct> …</label> …</div>
+ *       <div data-toggle-grid data-on="T" data-off="F"> <span data-cell data-correct>F</span> …</div>
+ *       <ol data-order> <li data-position="1">…</li> … </ol>
+ *       <ul data-sortable data-sortable-group="g"> <li data-belongs="a">…</li> …</ul>
+ *       <ul data-sortable data-sortable-group="g" data-category="a"></ul>
+ *       <button data-check>Prüfen</button>
+ *       <div data-feedback></div>
+ *   </div>
+ *
+ * "|" separates alternative answers - except for data-match="regex",
+ * where the whole attribute is one pattern (use (a|b) inside it).
+ * Fields may carry data-hint="…", shown when that field is wrong.
+ * Levels: wrap stages in [data-stages], mark each with [data-stage]
+ * (the visible one has class "active"). data-next on a solved exercise
+ * opens the following stage (or the stage with the given id);
+ * <button data-goto="stageId"> switches without a check.
+ */
+class ExerciseEngine {
+    constructor() {
+        this.storageKey = 'site_exercise_results';
+        this.pageKey = window.location.pathname;
+        this.init();
+    }
+
+    init() {
+        this.exercises = Array.from(document.querySelectorAll('[data-exercise]'));
+
+        this.exercises.forEach((exercise, index) => {
+            if (!exercise.id) exercise.id = `exercise-${index + 1}`;
+
+            exercise.querySelectorAll('[data-check]').forEach(btn => {
+                btn.addEventListener('click', () => this.check(exercise));
+            });
+            exercise.querySelectorAll('[data-toggle-grid]').forEach(grid => this.setupToggleGrid(grid));
+        });
+
+        document.querySelectorAll('[data-goto]').forEach(btn => {
+            btn.addEventListener('click', () => this.showStage(btn.dataset.goto));
+        });
+    }
+
+    // ---- Toggle grids ----------------------------------------------
+
+    setupToggleGrid(grid) {
+        grid.querySelectorAll('[data-cell]').forEach(cell => {
+            cell.setAttribute('role', 'button');
+            cell.setAttribute('tabindex', '0');
+            cell.setAttribute('aria-pressed', String(cell.classList.contains('active')));
+
+            const toggle = () => {
+                const active = cell.classList.toggle('active');
+                cell.setAttribute('aria-pressed', String(active));
+                if (grid.dataset.on && grid.dataset.off) {
+                    cell.textContent = active ? grid.dataset.on : grid.dataset.off;
+                }
+            };
+            cell.addEventListener('click', toggle);
+            cell.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    toggle();
+                }
+            });
+        });
+    }
+
+    // ---- Checking --------------------------------------------------
+
+    check(exercise) {
+        const results = [
+            ...Array.from(exercise.querySelectorAll('input[data-answer], select[data-answer], textarea[data-answer]'))
+                .map(field => ({ el: field, correct: this.checkValue(field) })),
+            ...Array.from(exercise.querySelectorAll('[data-choice]'))
+                .map(group => ({ el: group, correct: this.checkChoice(group) })),
+            ...Array.from(exercise.querySelectorAll('[data-toggle-grid]'))
+                .map(grid => ({ el: grid, correct: this.checkToggleGrid(grid) })),
+            ...Array.from(exercise.querySelectorAll('[data-order]'))
+                .map(list => ({ el: list, correct: this.checkOrder(list) })),
+            ...Array.from(exercise.querySelectorAll('[data-sortable-group]'))
+                .filter(list => list.querySelector('[data-belongs]') || list.hasAttribute('data-category'))
+                .map(list => ({ el: list, correct: this.checkCategory(list) }))
+        ];
+
+        results.forEach(({ el, correct }) => {
+            el.classList.toggle('is-correct', correct);
+            el.classList.toggle('is-wrong', !correct);
+            el.setAttribute('aria-invalid', String(!correct));
+        });
+
+        const solved = results.length > 0 && results.every(r => r.correct);
+        const hints = results
+            .filter(r => !r.correct && r.el.dataset.hint)
+            .map(r => r.el.dataset.hint);
+
+        this.saveResult(exercise, solved, results);
+        this.showFeedback(exercise, solved, hints);
+
+        if (solved) {
+            document.dispatchEvent(new CustomEvent('exercise:solved', {
+                detail: { id: exercise.id, exercise }
+            }));
+            if (exercise.hasAttribute('data-next')) {
+                const delay = parseInt(exercise.dataset.delay, 10) || 1500;
+                setTimeout(() => this.showNextStage(exercise), delay);
+            }
+        }
+
+        return solved;
+    }
+
+    checkValue(field) {
+        const value = field.value.trim();
+        if (value === '') return false;
+
+        const caseSensitive = field.hasAttribute('data-case-sensitive');
+        if (field.dataset.match === 'regex') {
+            try {
+                return new RegExp(field.dataset.answer, caseSensitive ? '' : 'i').test(value);
+            } catch (e) {
+                console.warn('Invalid data-answer pattern:', field.dataset.answer);
+                return false;
+            }
+        }
+
+        const answers = field.dataset.answer.split('|');
+
+        if (field.type === 'number' || field.dataset.type === 'number') {
+            const number = parseFloat(value.replace(',', '.'));
+            if (isNaN(number)) return false;
+
+            return answers.some(answer => {
+                const expected = parseFloat(answer.replace(',', '.'));
+                const tolerance = field.dataset.tolerance || '0';
+                const allowed = tolerance.endsWith('%')
+                    ? Math.abs(expected) * parseFloat(tolerance) / 100
+                    : parseFloat(tolerance.replace(',', '.'));
+                return Math.abs(number - expected) <= allowed + 1e-9;
+            });
+        }
+
+        const normalize = (text) => {
+            const collapsed = text.trim().replace(/\s+/g, ' ');
+            return caseSensitive ? collapsed : collapsed.toLowerCase();
+        };
+        const given = normalize(value);
+
+        return answers.some(answer => (field.dataset.match === 'contains'
+            ? given.includes(normalize(answer))
+            : given === normalize(answer)));
+    }
+
+    checkChoice(group) {
+        const options = Array.from(group.querySelectorAll('input[type="checkbox"], input[type="radio"]'));
+        return options.length > 0 &&
+            options.every(option => option.checked === option.hasAttribute('data-correct'));
+    }
+
+    checkToggleGrid(grid) {
+        return Array.from(grid.querySelectorAll('[data-cell]'))
+            .every(cell => cell.classList.contains('active') === cell.hasAttribute('data-correct'));
+    }
+
+    checkOrder(list) {
+        const positions = Array.from(list.querySelectorAll('[data-position]'))
+            .map(item => parseFloat(item.dataset.position));
+        return positions.every((pos, i) => i === 0 || positions[i - 1] < pos);
+    }
+
+    /**
+     * Category lists hold only their own items; the source list
+     * (no data-category) must be emptied
+     */
+    checkCategory(list) {
+        const items = Array.from(list.querySelectorAll('[data-belongs]'));
+        if (!list.hasAttribute('data-category')) return items.length === 0;
+        return items.every(item => item.dataset.belongs.split('|').includes(list.dataset.category));
+    }
+
+    showFeedback(exercise, solved, hints) {
+        let feedback = exercise.querySelector('[data-feedback]');
+        if (!feedback) {
+            feedback = exerciseElement('div', { 'data-feedback': '' });
+            exercise.appendChild(feedback);
+        }
+        feedback.classList.add('exercise-feedback');
+        feedback.setAttribute('role', 'status');
+
+        const message = solved
+            ? (exercise.dataset.success || '✅ Richtig!')
+            : (exercise.dataset.error || '❌ Noch nicht ganz. Prüfe deine markierten Antworten.');
+
+        feedback.innerHTML = '';
+        feedback.appendChild(exerciseElement('span', { class: solved ? 'success' : 'error' }, message));
+        if (!solved && hints.length > 0) {
+            const list = exerciseElement('ul', { class: 'exercise-hints' });
+            hints.forEach(hint => list.appendChild(exerciseElement('li', {}, hint)));
+            feedback.appendChild(list);
+        }
+    }
+
+    // ---- Stages ----------------------------------------------------
+
+    showNextStage(exercise) {
+        const target = exercise.dataset.next;
+        if (target) {
+            this.showStage(target);
+            return;
+        }
+
+        const stage = exercise.closest('[data-stage]');
+        const container = stage && stage.closest('[data-stages]');
+        if (!container) return;
+
+        const stages = Array.from(container.querySelectorAll('[data-stage]'));
+        const next = stages[stages.indexOf(stage) + 1];
+        if (next) this.showStage(next);
+    }
+
+    showStage(stageOrId) {
+        const stage = typeof stageOrId === 'string' ? document.getElementById(stageOrId) : stageOrId;
+        if (!stage) return;
+
+        const container = stage.closest('[data-stages]') || stage.parentElement;
+        container.querySelectorAll('[data-stage]').forEach(el => el.classList.remove('active'));
+        stage.classList.add('active');
+        stage.scrollIntoView({ behavior: reducedMotion() ? 'auto' : 'smooth', block: 'start' });
+
+        document.dispatchEvent(new CustomEvent('exercise:stage', { detail: { id: stage.id, stage } }));
+    }
+
+    // ---- Results ---------------------------------------------------
+
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    saveResult(exercise, solved, results) {
+        const data = this.readAll();
+        const page = data[this.pageKey] || {};
+        const entry = page[exercise.id] || { attempts: 0, solved: false };
+
+        entry.attempts++;
+        entry.solved = entry.solved || solved;
+        entry.score = results.filter(r => r.correct).length;
+        entry.maxScore = results.length;
+        if (solved && !entry.solvedAt) entry.solvedAt = new Date().toISOString();
+
+        page[exercise.id] = entry;
+        data[this.pageKey] = page;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (e) {
+            // Private mode: results only last for this page view
+        }
+    }
+
+    getResults() {
+        return this.readAll()[this.pageKey] || {};
+    }
+}
+
+// ==========================================
+// START
+// ==========================================
+/**
+ * Starts both once per page - script.js calls this too, so a page that
+ * includes exercises.js and script.js does not bind anything twice
+ */
+function startExercises() {
+    if (!window.exerciseEngine) {
+        window.sortableLists = new SortableLists();
+        window.exerciseEngine = new ExerciseEngine();
+    }
+    return window.exerciseEngine;
+}
+
+window.SortableLists = SortableLists;
+window.ExerciseEngine = ExerciseEngine;
+window.startExercises = startExercises;
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startExercises);
+} else {
+    startExercises();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SortableLists, ExerciseEngine, startExercises };
+}
@@ -2,62 +2,83 @@
 // Global Variables
 // ==================== //
 let currentChapter = 0;
-const totalChapters = 5;
 
 // ==================== //
 // Navigation Functions
 // ==================== //
-function navigateToChapter(chapterNumber) {
-    // Hide all sections
-    document.querySelectorAll('.content-section').forEach(section => {
-        section.classList.remove('active');
-    });
+// Sidebar, mobile menu, arrow keys and progress bar come from the shared
+// navigation core (navigation.js, <body data-nav="tabs" data-nav-arrows>)
+function getChapterSections() {
+    return Array.from(document.querySelectorAll('.content-section'));
+}
 
-    // Show selected section
-    const targetSection = document.querySelectorAll('.content-section')[chapterNumber];
-    if (targetSection) {
-        targetSection.classList.add('active');
-        currentChapter = chapterNumber;
-        
-        // Update progress bar
-        updateProgressBar();
-        
-        // Update sidebar active state
-        updateSidebarActive(chapterNumber);
-        
-        // Scroll to top
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-        
-        // Close mobile sidebar if open
-        closeMobileSidebar();
+function navigateToChapter(chapterNumber) {
+    const targetSection = getChapterSections()[chapterNumber];
+    if (targetSection && window.eduNavigation) {
+        window.eduNavigation.goTo(targetSection.id);
     }
 }
 
-function updateProgressBar() {
-    const progress = (currentChapter / totalChapters) * 100;
-    const progressBar = document.getElementById('progressBar');
-    if (progressBar) {
-        progressBar.style.width = `${progress}%`;
+document.addEventListener('navigation:change', function(e) {
+    const index = getChapterSections().findIndex(section => section.id === e.detail.id);
+    if (index >= 0) {
+        currentChapter = index;
+        // Short chapters fit on one screen and never fire a scroll event
+        setTimeout(checkChapterCompleted, 600);
+    }
+});
+
+// ==================== //
+// Completed Chapters
+// ==================== //
+// A chapter counts as done once its end has been in view - the same rule
+// as the progress tracking in the shared script.js. index.html, index1.html
+// and index2.html share the chapter ids, so the key is per page.
+const COMPLETED_KEY = `concurrency_completed:${window.location.pathname}`;
+
+function loadCompletedChapters() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem(COMPLETED_KEY)) || []);
+    } catch (e) {
+        return new Set();
     }
 }
 
-function updateSidebarActive(chapterNumber) {
-    document.querySelectorAll('.sidebar-menu a').forEach((link, index) => {
-        link.classList.remove('active');
-        if (index === chapterNumber) {
-            link.classList.add('active');
-        }
-    });
+const completedChapters = loadCompletedChapters();
+
+function checkChapterCompleted() {
+    const section = getChapterSections()[currentChapter];
+    if (!section || completedChapters.has(section.id)) return;
+    if (section.getBoundingClientRect().bottom > window.innerHeight) return;
+
+    completedChapters.add(section.id);
+    try {
+        localStorage.setItem(COMPLETED_KEY, JSON.stringify([...completedChapters]));
+    } catch (e) {
+        // Private mode: only this visit counts
+    }
 }
 
+window.addEventListener('scroll', checkChapterCompleted, { passive: true });
+
 // ==================== //
 // Solution Toggle
 // ==================== //
+// Locks (data-lock) come from the shared solution-lock.js
+let solutionLock = null;
+
 function toggleSolution(solutionId) {
     const solution = document.getElementById(solutionId);
-    if (solution) {
-        solution.classList.toggle('hidden');
+    if (!solution) return;
+
+    if (solution.classList.contains('hidden') && solutionLock && solutionLock.isLocked(solution)) {
+        solutionLock.requestUnlock(solution).then(unlocked => {
+            if (unlocked) toggleSolution(solutionId);
+        });
+        return;
     }
+
+    solution.classList.toggle('hidden');
 }
 
 // ==================== //
@@ -80,20 +101,41 @@ function hideCompletion() {
 }
 
 // ==================== //
-// Mobile Menu
+// Certificate
 // ==================== //
-function toggleMobileSidebar() {
-    const sidebar = document.getElementById('sidebar');
-    if (sidebar) {
-        sidebar.classList.toggle('active');
+// URL, remembered name and data format come from the shared certificate.js
+function printCertificate() {
+    const input = document.getElementById('certificateName');
+    if (!input || !window.EduCertificate) return;
+
+    const name = input.value.trim();
+    if (!name) {
+        input.setCustomValidity('Bitte gib deinen Namen ein.');
+        input.reportValidity();
+        input.focus();
+        return;
     }
+
+    const items = getChapterSections().map(section => {
+        const link = document.querySelector(`.sidebar-menu a[href="#${CSS.escape(section.id)}"]`);
+        return {
+            title: link ? link.textContent.trim() : section.id,
+            done: completedChapters.has(section.id)
+        };
+    });
+
+    EduCertificate.open(EduCertificate.build(name, items, {
+        topic: document.title.replace(/^Lernpfad:\s*/, ''),
+        subject: 'Informatik · Jahrgangsstufe 12'
+    }));
 }
 
-function closeMobileSidebar() {
-    const sidebar = document.getElementById('sidebar');
-    if (sidebar && window.innerWidth <= 1024) {
-        sidebar.classList.remove('active');
-    }
+function setupCertificateForm() {
+    const input = document.getElementById('certificateName');
+    if (!input || !window.EduCertificate) return;
+
+    input.value = EduCertificate.loadName();
+    input.addEventListener('input', () => input.setCustomValidity(''));
 }
 
 // ==================== //
@@ -101,39 +143,6 @@ function closeMobileSidebar() {
 // ==================== //
 document.addEventListener('DOMContentLoaded', function() {
     
-    // Sidebar navigation
-    document.querySelectorAll('.sidebar-menu a').forEach((link, index) => {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
-            navigateToChapter(index);
-        });
-    });
-
-    // Mobile menu button
-    const mobileMenuBtn = document.getElementById('mobileMenuBtn');
-    if (mobileMenuBtn) {
-        mobileMenuBtn.addEventListener('click', toggleMobileSidebar);
-    }
-
-    // Sidebar toggle button
-    const sidebarToggle = document.getElementById('sidebarToggle');
-    if (sidebarToggle) {
-        sidebarToggle.addEventListener('click', closeMobileSidebar);
-    }
-
-    // Close sidebar when clicking outside on mobile
-    document.addEventListener('click', function(e) {
-        const sidebar = document.getElementById('sidebar');
-        const mobileMenuBtn = document.getElementById('mobileMenuBtn');
-        
-        if (window.innerWidth <= 1024 && 
-            sidebar && 
-            !sidebar.contains(e.target) && 
-            !mobileMenuBtn.contains(e.target)) {
-            closeMobileSidebar();
-        }
-    });
-
     // Close modal when clicking outside
     const modal = document.getElementById('completionModal');
     if (modal) {
@@ -144,25 +153,21 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
-    // Keyboard navigation
+    // Escape - close modal (sidebar: navigation core)
     document.addEventListener('keydown', function(e) {
-        // Left arrow - previous chapter
-        if (e.key === 'ArrowLeft' && currentChapter > 0) {
-            navigateToChapter(currentChapter - 1);
-        }
-        // Right arrow - next chapter
-        if (e.key === 'ArrowRight' && currentChapter < totalChapters) {
-            navigateToChapter(currentChapter + 1);
-        }
-        // Escape - close modal/sidebar
-        if (e.key === 'Escape') {
+        const modal = document.getElementById('completionModal');
+        if (e.key === 'Escape' && modal && !modal.classList.contains('hidden')) {
             hideCompletion();
-            closeMobileSidebar();
         }
     });
 
-    // Initialize progress bar
-    updateProgressBar();
+    // Locked solutions (data-lock, solution-lock.js)
+    if (window.SolutionLock) {
+        solutionLock = new SolutionLock();
+    }
+
+    // Remembered name for the certificate
+    setupCertificateForm();
 
     // Ensure Prism highlights code after DOM is ready (if Prism is available)
     if (window.Prism && typeof Prism.highlightAll === 'function') {
@@ -3,7 +3,11 @@
  * MOBILE MENU SCRIPT
  * ==========================================
  * Einfaches Script nur für Mobile Menu Button
- * Für Übersichtsseiten
+ * Für Übersichtsseiten (Modus "overview" aus navigation.js)
+ *
+ * Einbindung (navigation.js wird bei Bedarf selbst nachgeladen):
+ *
+ *   <script defer src="https://edu-mrh.de/embed/mobileMenu.js"></script>
  */
 
 'use strict';
@@ -12,28 +16,19 @@
 // CONFIGURATION
 // ==========================================
 const MOBILE_CONFIG = {
-    mobileBreakpoint: 1024,
-    selectors: {
-        sidebar: '.sidebar, .side-nav, aside',
-        mobileMenuBtn: '.mobile-menu-btn, #mobileMenuBtn, .burger-menu, .menu-toggle',
-        sidebarToggle: '.sidebar-toggle, #sidebarToggle, .close-sidebar'
-    }
-};
-
-// ==========================================
-// STATE
-// ==========================================
-const MOBILE_STATE = {
-    isMobile: false,
-    sidebarOpen: false
+    // Gemeinsamer Navigationskern (Sidebar, Button, Escape, Resize)
+    navigationScriptUrl: 'https://edu-mrh.de/navigation.js'
 };
 
 // ==========================================
 // MOBILE MENU CLASS
 // ==========================================
+// Thin wrapper around navigation.js in "overview" mode - a page that also
+// loads script.js or baseScript.js shares the same instance
 class MobileMenu {
     constructor(config = {}) {
         this.config = { ...MOBILE_CONFIG, ...config };
+        this.nav = null;
         this.init();
     }
 
@@ -48,119 +43,50 @@ class MobileMenu {
     }
 
     setup() {
-        this.detectDevice();
-        this.setupMobileMenuButton();
-        this.setupSidebarToggle();
-        this.setupOutsideClick();
-        this.setupResizeHandler();
-        this.setupKeyboard();
-        
-        console.log('✅ Mobile Menu initialized');
-    }
-
-    detectDevice() {
-        MOBILE_STATE.isMobile = window.innerWidth <= this.config.mobileBreakpoint;
-        document.body.classList.toggle('is-mobile', MOBILE_STATE.isMobile);
+        this.loadCore(() => {
+            this.nav = EduNavigation.attach({ mode: 'overview' });
+            console.log('✅ Mobile Menu initialized');
+        });
     }
 
-    setupMobileMenuButton() {
-        const mobileMenuBtns = document.querySelectorAll(this.config.selectors.mobileMenuBtn);
-        
-        if (mobileMenuBtns.length === 0) {
-            console.warn('⚠️ No mobile menu buttons found');
+    // navigation.js from the page, from script.js (loadNavigationCore) or
+    // fetched here - through the same tag, so it is requested only once
+    loadCore(callback) {
+        if (window.EduNavigation) {
+            callback();
+            return;
+        }
+        if (typeof loadNavigationCore === 'function') {
+            loadNavigationCore(callback);
             return;
         }
 
-        console.log(`📱 Found ${mobileMenuBtns.length} mobile menu button(s)`);
-
-        mobileMenuBtns.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleSidebar();
-            });
-        });
-    }
-
-    setupSidebarToggle() {
-        const sidebarToggles = document.querySelectorAll(this.config.selectors.sidebarToggle);
-        
-        sidebarToggles.forEach(toggle => {
-            toggle.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.closeSidebar();
-            });
-        });
-    }
-
-    setupOutsideClick() {
-        document.addEventListener('click', (e) => {
-            if (!MOBILE_STATE.isMobile || !MOBILE_STATE.sidebarOpen) return;
-            
-            const sidebar = document.querySelector(this.config.selectors.sidebar);
-            const mobileMenuBtns = document.querySelectorAll(this.config.selectors.mobileMenuBtn);
-            
-            const clickedMobileBtn = Array.from(mobileMenuBtns).some(btn => btn.contains(e.target));
-            
-            if (sidebar && !sidebar.contains(e.target) && !clickedMobileBtn) {
-                this.closeSidebar();
-            }
-        });
-    }
-
-    setupResizeHandler() {
-        let resizeTimer;
-        
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimer);
-            resizeTimer = setTimeout(() => {
-                const wasMobile = MOBILE_STATE.isMobile;
-                this.detectDevice();
-                
-                if (wasMobile && !MOBILE_STATE.isMobile && MOBILE_STATE.sidebarOpen) {
-                    this.closeSidebar();
-                }
-            }, 250);
+        let tag = document.querySelector('script[data-shared-script="EduNavigation"]');
+        if (!tag) {
+            tag = document.createElement('script');
+            tag.src = this.config.navigationScriptUrl;
+            tag.setAttribute('data-shared-script', 'EduNavigation');
+            document.head.appendChild(tag);
+        }
+        tag.addEventListener('load', () => {
+            if (window.EduNavigation) callback();
+            else console.error(`❌ ${tag.src} definiert EduNavigation nicht.`);
         });
-    }
-
-    setupKeyboard() {
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && MOBILE_STATE.sidebarOpen) {
-                this.closeSidebar();
-            }
+        tag.addEventListener('error', () => {
+            console.error(`❌ ${tag.src} konnte nicht geladen werden – mobileMenu.js bleibt ohne Navigation.`);
         });
     }
 
     toggleSidebar() {
-        MOBILE_STATE.sidebarOpen = !MOBILE_STATE.sidebarOpen;
-        
-        const sidebar = document.querySelector(this.config.selectors.sidebar);
-        const mobileMenuBtns = document.querySelectorAll(this.config.selectors.mobileMenuBtn);
-        
-        if (sidebar) {
-            sidebar.classList.toggle('active', MOBILE_STATE.sidebarOpen);
-            sidebar.classList.toggle('open', MOBILE_STATE.sidebarOpen);
-        }
-        
-        mobileMenuBtns.forEach(btn => {
-            btn.classList.toggle('active', MOBILE_STATE.sidebarOpen);
-        });
-        
-        if (MOBILE_STATE.isMobile) {
-            document.body.style.overflow = MOBILE_STATE.sidebarOpen ? 'hidden' : '';
-        }
-        
-        console.log(`📱 Sidebar ${MOBILE_STATE.sidebarOpen ? 'opened' : 'closed'}`);
+        if (this.nav) this.nav.toggleSidebar();
     }
 
     openSidebar() {
-        if (MOBILE_STATE.sidebarOpen) return;
-        this.toggleSidebar();
+        if (this.nav) this.nav.openSidebar();
     }
 
     closeSidebar() {
-        if (!MOBILE_STATE.sidebarOpen) return;
-        this.toggleSidebar();
+        if (this.nav) this.nav.closeSidebar();
     }
 }
 
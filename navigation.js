@@ -0,0 +1,973 @@
+/**
+ * ==========================================
+ * NAVIGATION CORE
+ * ==========================================
+ * Gemeinsamer Kern für Sidebar, Mobile-Menü, Abschnittswechsel und
+ * Hervorhebung des aktiven Links. Wird von script.js (SiteManager),
+ * baseScript.js (BaseNavigation), mobileMenu.js und dem Kurs
+ * informatik/12/nebenlaeufigkeit benutzt – vorher hatte jede dieser
+ * Dateien eine eigene Kopie mit eigenen Selektoren.
+ *
+ * Einbindung (vor script.js, baseScript.js bzw. mobileMenu.js – sonst
+ * laden diese die Datei selbst nach):
+ *
+ *   <script defer src="https://edu-mrh.de/navigation.js"></script>
+ *
+ * Modus per Attribut am <body> (gewinnt gegenüber dem Standard des
+ * jeweiligen Skripts):
+ *
+ *   data-nav="tabs"       immer nur eine .content-section sichtbar
+ *                         (Standard von script.js)
+ *   data-nav="scroll"     alle Abschnitte untereinander, Links scrollen,
+ *                         der sichtbare Abschnitt wird markiert
+ *                         (Standard von baseScript.js)
+ *   data-nav="overview"   keine Abschnitte, nur Navbar und Mobile-Menü
+ *                         (Fachseiten, Standard von mobileMenu.js)
+ *
+ *   data-nav-plugins="progress hash keyboard"
+ *                         Auswahl der Plugins (Standard: alle drei)
+ *   data-nav-arrows="off" ←/→ blättern nicht zwischen den Abschnitten
+ *
+ * Tastenkürzel (Plugin "keyboard", nie während der Eingabe in Textfeldern):
+ * ←/→ Abschnitt, M Menü, L nächste Lösung, / Suche, P Drucken,
+ * F Präsentation (presentation.js), Esc schließen, ? zeigt die auf der
+ * Seite verfügbaren Kürzel. Weitere Kürzel:
+ * EduNavigation.registerShortcut({ keys, label, available, run }).
+ *
+ * Adressen (Plugin "hash"): #abschnitt oder #abschnitt/ziel, wobei ziel
+ * eine id im Abschnitt ist oder aufgabe-N für die N-te Aufgabe
+ * (.task-box) – z. B. #join/aufgabe-3. Zurück/Vorwärts stellt Abschnitt,
+ * Scrollposition und geöffnete Lösungen wieder her.
+ *
+ * Steht data-nav am <body>, startet die Navigation auch ganz ohne
+ * script.js. Lädt eine Seite mehrere dieser Skripte, teilen sie sich eine
+ * Instanz (window.eduNavigation) – Listener werden nur einmal gebunden.
+ *
+ * Bei jedem Wechsel wird 'navigation:change' am document ausgelöst
+ * (detail: { id, previous, source }).
+ */
+
+'use strict';
+
+// presentation.js is loaded on demand from next to this file
+const NAVIGATION_BASE_URL = document.currentScript && document.currentScript.src
+    ? document.currentScript.src.replace(/[^/]*$/, '')
+    : 'https://edu-mrh.de/';
+
+const NAVIGATION_DEFAULTS = {
+    mode: 'tabs',
+    defaultSection: 'intro',
+    plugins: ['progress', 'hash', 'keyboard'],
+    arrows: true,
+    scrollOffset: 80,
+    scrollDuration: 800,
+    smoothScroll: true,
+    mobileBreakpoint: 1024,
+    tabletBreakpoint: 768,
+    presentationScriptUrl: `${NAVIGATION_BASE_URL}presentation.js`,
+    selectors: {
+        navbar: '.navbar',
+        sidebar: '.sidebar, .side-nav',
+        sidebarLink: '.sidebar-menu a, .nav-menu a, .side-menu a, .js-nav-link',
+        scrollLink: 'nav a[href^="#"]',
+        mobileMenuBtn: '.mobile-menu-btn, #mobileMenuBtn, .burger-menu, .menu-toggle',
+        sidebarToggle: '.sidebar-toggle, #sidebarToggle, .close-sidebar',
+        tabSection: '.content-section[id]',
+        scrollSection: 'section[id], .section[id], article[id]',
+        progressBar: '#progressBar, .scroll-progress',
+        task: '.task-box, .exercise-card, .exercise-box',
+        solutionToggle: '[onclick*="toggleSolution"]',
+        searchInput: '.edu-search input[type="search"]'
+    }
+};
+
+const NAVIGATION_MODES = ['tabs', 'scroll', 'overview'];
+
+class Navigation {
+    /**
+     * Returns the page-wide instance, creating it on first use. A second
+     * script asking for a different mode only gets its way if the page
+     * did not choose one and the first caller just needed the menu.
+     */
+    static attach(options = {}) {
+        const existing = window.eduNavigation;
+        if (existing instanceof Navigation) {
+            if (!existing.pluginsFromPage) {
+                (options.plugins || []).forEach(name => existing.use(name));
+            }
+            if (options.mode && options.mode !== existing.mode) {
+                if (existing.mode === 'overview' && !existing.modeFromPage) {
+                    existing.setMode(options.mode);
+                } else {
+                    console.warn(`Navigation läuft bereits im Modus "${existing.mode}"`);
+                }
+            }
+            return existing;
+        }
+
+        window.eduNavigation = new Navigation(options);
+        return window.eduNavigation;
+    }
+
+    /**
+     * Plugins are factories (navigation, options) → hooks. Supported hooks:
+     *   initialSection()   id to start with (or null)
+     *   leave(detail)      before a section change, old section still shown
+     *   change(detail)     after every section change
+     *   scroll()           throttled to one call per animation frame
+     *   resize()           after the (debounced) resize handling
+     *   saveState()        extra state for the history entry (JSON)
+     *   restoreState(data) counterpart when the entry is revisited
+     */
+    static registerPlugin(name, factory) {
+        Navigation.plugins[name] = factory;
+    }
+
+    /**
+     * Keyboard shortcuts (plugin "keyboard"):
+     *   keys            e.key values, letters in lower case ('l', '?')
+     *   label           text in the ? overview (without: not listed)
+     *   available(nav)  false hides and disables it on this page
+     *   run(nav, event)
+     * All available shortcuts for a key run, in registration order.
+     */
+    static registerShortcut(shortcut) {
+        Navigation.shortcuts.push(shortcut);
+    }
+
+    constructor(options = {}) {
+        const body = document.body.dataset;
+
+        this.config = {
+            ...NAVIGATION_DEFAULTS,
+            ...options,
+            selectors: { ...NAVIGATION_DEFAULTS.selectors, ...(options.selectors || {}) }
+        };
+        this.pluginsFromPage = body.navPlugins !== undefined;
+        if (this.pluginsFromPage) {
+            this.config.plugins = body.navPlugins.split(/[\s,]+/).filter(Boolean);
+        }
+        if (body.navArrows !== undefined) {
+            this.config.arrows = body.navArrows !== 'off';
+        }
+
+        this.modeFromPage = NAVIGATION_MODES.includes(body.nav);
+        this.mode = this.modeFromPage ? body.nav : this.config.mode;
+        this.sections = [];
+        this.current = null;
+        this.isMobile = false;
+        this.isTablet = false;
+        this.sidebarOpen = false;
+        this.scrolling = false;
+        this.started = false;
+        this.help = null;
+        this.presenting = false;
+
+        this.detectDevice();
+        this.collectSections();
+        this.bindEvents();
+        this.hooks = {};
+        this.config.plugins.forEach(name => this.use(name));
+
+        if (options.autoStart !== false) {
+            this.start();
+        }
+    }
+
+    // ==========================================
+    // SETUP
+    // ==========================================
+
+    detectDevice() {
+        this.isMobile = window.innerWidth <= this.config.mobileBreakpoint;
+        this.isTablet = this.isMobile && window.innerWidth > this.config.tabletBreakpoint;
+
+        document.body.classList.toggle('is-mobile', this.isMobile);
+        document.body.classList.toggle('is-tablet', this.isTablet);
+        document.body.classList.toggle('is-desktop', !this.isMobile);
+    }
+
+    collectSections() {
+        const selector = this.mode === 'tabs' ? this.config.selectors.tabSection
+            : this.mode === 'scroll' ? this.config.selectors.scrollSection
+                : null;
+
+        this.sections = selector
+            ? Array.from(document.querySelectorAll(selector))
+                .filter(el => el.id.trim() !== '')
+                .map(el => ({ id: el.id, element: el, offsetTop: el.offsetTop }))
+            : [];
+    }
+
+    /**
+     * All listeners are delegated to document/window, so links added
+     * later (catalog, search) work and nothing is bound twice
+     */
+    bindEvents() {
+        document.addEventListener('click', (e) => this.handleClick(e));
+
+        let lastScroll = 0;
+        let ticking = false;
+        window.addEventListener('scroll', () => {
+            if (ticking) return;
+            ticking = true;
+            window.requestAnimationFrame(() => {
+                const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+                this.updateNavbar(scrollTop, lastScroll);
+                lastScroll = scrollTop;
+                if (this.mode === 'scroll' && !this.scrolling) {
+                    this.updateActiveFromScroll();
+                }
+                this.callHook('scroll');
+                ticking = false;
+            });
+        });
+
+        let resizeTimer;
+        window.addEventListener('resize', () => {
+            clearTimeout(resizeTimer);
+            resizeTimer = setTimeout(() => this.handleResize(), 250);
+        });
+    }
+
+    /**
+     * Shows the first section: plugin choice (e.g. the URL hash), then the
+     * given fallback, then config.defaultSection, then the first section
+     */
+    start(fallback) {
+        if (this.started) return;
+        this.started = true;
+
+        const fromPlugin = Object.values(this.hooks)
+            .map(hook => hook.initialSection && hook.initialSection())
+            .find(id => this.has(id));
+        const id = fromPlugin ||
+            (this.has(fallback) ? fallback : null) ||
+            (this.has(this.config.defaultSection) ? this.config.defaultSection : null) ||
+            (this.sections[0] ? this.sections[0].id : null);
+
+        if (!id) return;
+
+        if (this.mode === 'tabs') {
+            this.goTo(id, { source: 'init', scroll: false });
+        } else if (this.mode === 'scroll' && fromPlugin) {
+            // Let the layout settle (images, fonts) before jumping
+            setTimeout(() => this.goTo(id, { source: 'init' }), 300);
+        } else {
+            this.updateActiveFromScroll();
+        }
+    }
+
+    setMode(mode) {
+        if (!NAVIGATION_MODES.includes(mode) || mode === this.mode) return;
+
+        this.mode = mode;
+        this.collectSections();
+        if (this.started) {
+            this.started = false;
+            this.start();
+        }
+    }
+
+    // ==========================================
+    // SECTIONS
+    // ==========================================
+
+    has(id) {
+        return !!id && this.sections.some(s => s.id === id);
+    }
+
+    getSectionIds() {
+        return this.sections.map(s => s.id);
+    }
+
+    getTargetId(link) {
+        const section = link.getAttribute('data-section');
+        if (section) return section;
+
+        const href = link.getAttribute('href');
+        if (href && href.startsWith('#')) return href.substring(1);
+
+        // Older pages: <a onclick="showSection('intro')">
+        const onclick = link.getAttribute('onclick');
+        const match = onclick && onclick.match(/['"]([^'"]+)['"]/);
+        return match ? match[1] : null;
+    }
+
+    handleClick(e) {
+        const selectors = this.config.selectors;
+        const link = e.target.closest(this.mode === 'scroll'
+            ? `${selectors.sidebarLink}, ${selectors.scrollLink}`
+            : selectors.sidebarLink);
+
+        if (link) {
+            const href = link.getAttribute('href');
+            if (href && !href.startsWith('#')) return;
+
+            const targetId = this.getTargetId(link);
+            if (this.has(targetId)) {
+                e.preventDefault();
+                this.goTo(targetId);
+            }
+            return;
+        }
+
+        if (e.target.closest(selectors.mobileMenuBtn)) {
+            this.toggleSidebar();
+        } else if (e.target.closest(selectors.sidebarToggle)) {
+            this.closeSidebar();
+        } else if (this.isMobile && this.sidebarOpen) {
+            // Click outside the open sidebar
+            const sidebar = document.querySelector(selectors.sidebar);
+            if (sidebar && !sidebar.contains(e.target)) {
+                this.closeSidebar();
+            }
+        }
+    }
+
+    /**
+     * options.source: 'link' (default), 'init', 'hash', 'scroll', 'key' …
+     * options.updateHash: false keeps the URL as it is
+     * options.scroll: false stays at the current scroll position
+     */
+    goTo(id, options = {}) {
+        const section = this.sections.find(s => s.id === id);
+        if (!section) {
+            console.warn(`Section "${id}" not found`);
+            return;
+        }
+
+        const previous = this.current;
+        const source = options.source || 'link';
+        const updateHash = options.updateHash !== false;
+        if (previous) {
+            this.callHook('leave', { id: previous, next: id, source, updateHash });
+        }
+        this.current = id;
+
+        if (this.mode === 'tabs') {
+            this.sections.forEach(s => s.element.classList.toggle('active', s.id === id));
+            if (options.scroll !== false) {
+                window.scrollTo({ top: 0, behavior: this.useSmoothScroll() ? 'smooth' : 'auto' });
+            }
+        } else if (options.scroll !== false) {
+            this.scrollToSection(section);
+        }
+
+        this.highlight(id);
+        if (this.isMobile) {
+            this.closeSidebar();
+        }
+
+        const detail = { id, previous, source, updateHash };
+        this.callHook('change', detail);
+        document.dispatchEvent(new CustomEvent('navigation:change', { detail }));
+    }
+
+    next() {
+        const index = this.getSectionIds().indexOf(this.current);
+        if (index < this.sections.length - 1) {
+            this.goTo(this.sections[index + 1].id, { source: 'key' });
+        }
+    }
+
+    previous() {
+        const index = this.getSectionIds().indexOf(this.current);
+        if (index > 0) {
+            this.goTo(this.sections[index - 1].id, { source: 'key' });
+        }
+    }
+
+    highlight(id) {
+        const selectors = this.config.selectors;
+        document.querySelectorAll(`${selectors.sidebarLink}, ${selectors.scrollLink}`).forEach(link => {
+            const active = this.getTargetId(link) === id;
+            link.classList.toggle('active', active);
+            if (active) {
+                link.setAttribute('aria-current', 'true');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    // ==========================================
+    // SCROLL MODE
+    // ==========================================
+
+    // Respects the system setting and the "Animationen reduzieren"
+    // choice from controls.js (html.edu-a11y-reduced-motion)
+    useSmoothScroll() {
+        if (!this.config.smoothScroll) return false;
+        if (document.documentElement.classList.contains('edu-a11y-reduced-motion')) return false;
+        return !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    scrollToSection(section) {
+        const target = section.element.getBoundingClientRect().top + window.pageYOffset - this.config.scrollOffset;
+
+        if (!this.useSmoothScroll()) {
+            window.scrollTo(0, target);
+            return;
+        }
+
+        this.scrolling = true;
+        const start = window.pageYOffset;
+        const distance = target - start;
+        const duration = this.config.scrollDuration;
+        let startTime = null;
+
+        const step = (time) => {
+            if (startTime === null) startTime = time;
+            const progress = Math.min((time - startTime) / duration, 1);
+            const ease = progress < 0.5 ? 4 * progress * progress * progress : 1 - Math.pow(-2 * progress + 2, 3) / 2;
+            window.scrollTo(0, start + distance * ease);
+            if (progress < 1) {
+                requestAnimationFrame(step);
+            } else {
+                this.scrolling = false;
+            }
+        };
+        requestAnimationFrame(step);
+    }
+
+    updateActiveFromScroll() {
+        const position = window.pageYOffset + this.config.scrollOffset + 100;
+        let id = null;
+        for (let i = this.sections.length - 1; i >= 0; i--) {
+            if (position >= this.sections[i].offsetTop) {
+                id = this.sections[i].id;
+                break;
+            }
+        }
+        if (!id || id === this.current) return;
+
+        const previous = this.current;
+        this.current = id;
+        this.highlight(id);
+
+        const detail = { id, previous, source: 'scroll', updateHash: false };
+        this.callHook('change', detail);
+        document.dispatchEvent(new CustomEvent('navigation:change', { detail }));
+    }
+
+    updateNavbar(scrollTop, lastScroll) {
+        const navbar = document.querySelector(this.config.selectors.navbar);
+        if (!navbar) return;
+
+        navbar.classList.toggle('scrolled', scrollTop > 50);
+        navbar.style.transform = scrollTop > lastScroll && scrollTop > 100 && !this.sidebarOpen
+            ? 'translateY(-100%)'
+            : 'translateY(0)';
+    }
+
+    handleResize() {
+        const wasMobile = this.isMobile;
+        this.detectDevice();
+        this.sections.forEach(s => { s.offsetTop = s.element.offsetTop; });
+
+        if (wasMobile && !this.isMobile) {
+            this.closeSidebar();
+        }
+        this.callHook('resize');
+    }
+
+    /**
+     * Re-reads sections and offsets after content was added or unfolded
+     */
+    refresh() {
+        this.collectSections();
+        if (this.mode === 'scroll') {
+            this.updateActiveFromScroll();
+        }
+    }
+
+    // ==========================================
+    // SIDEBAR
+    // ==========================================
+
+    setSidebar(open) {
+        const sidebar = document.querySelector(this.config.selectors.sidebar);
+        if (!sidebar) return;
+
+        this.sidebarOpen = open;
+        sidebar.classList.toggle('active', open);
+        sidebar.classList.toggle('open', open);
+        document.querySelectorAll(this.config.selectors.mobileMenuBtn).forEach(btn => {
+            btn.classList.toggle('active', open);
+            btn.setAttribute('aria-expanded', String(open));
+        });
+
+        if (this.isMobile) {
+            document.body.style.overflow = open ? 'hidden' : '';
+        }
+    }
+
+    toggleSidebar() {
+        this.setSidebar(!this.sidebarOpen);
+    }
+
+    openSidebar() {
+        this.setSidebar(true);
+    }
+
+    closeSidebar() {
+        const sidebar = document.querySelector(this.config.selectors.sidebar);
+        if (this.sidebarOpen || (sidebar && sidebar.matches('.active, .open'))) {
+            this.setSidebar(false);
+        }
+    }
+
+    // ==========================================
+    // DEEP LINKS
+    // ==========================================
+
+    /**
+     * "join/aufgabe-3", "join" or a bare element id → { section, target }
+     */
+    resolveLocation(value) {
+        if (!value) return null;
+
+        const slash = value.indexOf('/');
+        const head = slash >= 0 ? value.slice(0, slash) : value;
+        if (this.has(head)) {
+            return { section: head, target: slash >= 0 ? value.slice(slash + 1) : null };
+        }
+
+        // Old links and in-page anchors: #feedback-4 → its section
+        const element = document.getElementById(value);
+        const section = element && this.sections.find(s => s.element.contains(element));
+        return section ? { section: section.id, target: value } : null;
+    }
+
+    findTarget(sectionId, target) {
+        const section = this.sections.find(s => s.id === sectionId);
+        if (!section || !target) return null;
+
+        const element = document.getElementById(target);
+        if (element && section.element.contains(element)) return element;
+
+        const match = target.match(/^aufgabe-(\d+)$/);
+        return match ? section.element.querySelectorAll(this.config.selectors.task)[match[1] - 1] || null : null;
+    }
+
+    /**
+     * Address of an element for sharing: #abschnitt/id or #abschnitt/aufgabe-N
+     */
+    getDeepLink(element) {
+        const section = this.sections.find(s => s.element.contains(element));
+        if (!section) return null;
+
+        let target = element.id;
+        if (!target && element.matches(this.config.selectors.task)) {
+            const tasks = Array.from(section.element.querySelectorAll(this.config.selectors.task));
+            target = `aufgabe-${tasks.indexOf(element) + 1}`;
+        }
+        const hash = target && target !== section.id ? `${section.id}/${target}` : section.id;
+        return `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+    }
+
+    showTarget(element) {
+        const top = element.getBoundingClientRect().top + window.pageYOffset - this.config.scrollOffset;
+        window.scrollTo({ top, behavior: this.useSmoothScroll() ? 'smooth' : 'auto' });
+
+        element.classList.add('nav-target');
+        setTimeout(() => element.classList.remove('nav-target'), 2000);
+    }
+
+    // ==========================================
+    // SHORTCUTS
+    // ==========================================
+
+    getShortcuts() {
+        return Navigation.shortcuts.filter(shortcut => !shortcut.available || shortcut.available(this));
+    }
+
+    handleKey(e) {
+        // presentation.js has its own keys
+        if (this.presenting || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+        // Typing in a text field
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        if (this.help && !this.help.hidden) {
+            if (key === 'Escape' || key === '?') this.hideShortcutHelp();
+            return;
+        }
+
+        const matches = this.getShortcuts().filter(shortcut => shortcut.keys.includes(key));
+        if (matches.length === 0) return;
+
+        e.preventDefault();
+        matches.forEach(shortcut => shortcut.run(this, e));
+    }
+
+    /**
+     * First solution button in the current section whose solution is
+     * still hidden (all sections on overview pages)
+     */
+    findNextSolution() {
+        const section = this.sections.find(s => s.id === this.current);
+        const scope = section && this.mode === 'tabs' ? section.element : document;
+
+        return Array.from(scope.querySelectorAll(this.config.selectors.solutionToggle)).find(button => {
+            const solution = document.getElementById(this.getTargetId(button));
+            return solution && solution.classList.contains('hidden');
+        }) || null;
+    }
+
+    revealNextSolution() {
+        const button = this.findNextSolution();
+        if (!button) return;
+
+        const solution = document.getElementById(this.getTargetId(button));
+        button.click();
+        // Locked solutions stay hidden until the unlock dialog succeeds
+        if (!solution.classList.contains('hidden')) {
+            this.showTarget(solution);
+        }
+    }
+
+    toggleShortcutHelp() {
+        if (this.help && !this.help.hidden) {
+            this.hideShortcutHelp();
+        } else {
+            this.showShortcutHelp();
+        }
+    }
+
+    /**
+     * Lists the shortcuts that work on this page; built on every opening
+     * because availability depends on the current section
+     */
+    showShortcutHelp() {
+        if (!this.help) {
+            this.help = createShortcutHelp(() => this.hideShortcutHelp());
+        }
+
+        const list = this.help.querySelector('dl');
+        list.innerHTML = '';
+        this.getShortcuts().filter(shortcut => shortcut.label).forEach(shortcut => {
+            const term = document.createElement('dt');
+            shortcut.keys.forEach(key => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = SHORTCUT_KEY_NAMES[key] || key.toUpperCase();
+                term.appendChild(kbd);
+            });
+            const description = document.createElement('dd');
+            description.textContent = shortcut.label;
+            list.append(term, description);
+        });
+
+        this.helpFocus = document.activeElement;
+        this.help.hidden = false;
+        this.help.querySelector('button').focus();
+    }
+
+    hideShortcutHelp() {
+        if (!this.help || this.help.hidden) return;
+
+        this.help.hidden = true;
+        if (this.helpFocus && typeof this.helpFocus.focus === 'function') {
+            this.helpFocus.focus();
+        }
+        this.helpFocus = null;
+    }
+
+    // ==========================================
+    // PRESENTATION
+    // ==========================================
+
+    /**
+     * Fullscreen slides for the projector; presentation.js is only
+     * fetched when somebody actually presents
+     */
+    startPresentation() {
+        if (this.mode === 'overview' || this.sections.length === 0) return;
+        if (window.EduPresentation) {
+            EduPresentation.start(this);
+            return;
+        }
+
+        let tag = document.querySelector('script[data-presentation]');
+        if (!tag) {
+            tag = document.createElement('script');
+            tag.src = this.config.presentationScriptUrl;
+            tag.setAttribute('data-presentation', '');
+            document.head.appendChild(tag);
+        }
+        tag.addEventListener('load', () => EduPresentation.start(this));
+    }
+
+    // ==========================================
+    // PLUGINS
+    // ==========================================
+
+    use(name) {
+        if (this.hooks[name] || !Navigation.plugins[name]) return;
+        this.hooks[name] = Navigation.plugins[name](this, this.config) || {};
+    }
+
+    callHook(name, detail) {
+        Object.values(this.hooks).forEach(hook => {
+            if (typeof hook[name] === 'function') hook[name](detail);
+        });
+    }
+
+    saveState() {
+        const state = {};
+        Object.keys(this.hooks).forEach(name => {
+            if (typeof this.hooks[name].saveState === 'function') {
+                state[name] = this.hooks[name].saveState();
+            }
+        });
+        return state;
+    }
+
+    restoreState(state) {
+        Object.keys(this.hooks).forEach(name => {
+            if (state && state[name] !== undefined && typeof this.hooks[name].restoreState === 'function') {
+                this.hooks[name].restoreState(state[name]);
+            }
+        });
+    }
+}
+
+Navigation.plugins = {};
+Navigation.shortcuts = [];
+
+const SHORTCUT_KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'Esc'
+};
+
+/**
+ * Overlay for the ? key, with its own styles so it also works on pages
+ * without style.css (e.g. the Nebenläufigkeit course)
+ */
+function createShortcutHelp(close) {
+    const style = document.createElement('style');
+    style.textContent =
+        '.nav-shortcuts{position:fixed;inset:0;z-index:99995;display:flex;' +
+        'align-items:center;justify-content:center;padding:1rem;background:rgba(15,23,42,.55);}' +
+        '.nav-shortcuts[hidden]{display:none;}' +
+        '.nav-shortcuts-box{position:relative;width:100%;max-width:26rem;max-height:85vh;' +
+        'overflow-y:auto;padding:1.5rem;border-radius:12px;background:#fff;color:#1f2937;' +
+        'box-shadow:0 20px 40px rgba(0,0,0,.3);font-family:system-ui,-apple-system,' +
+        '"Segoe UI",Roboto,sans-serif;}' +
+        '.nav-shortcuts h2{margin:0 0 1rem;font-size:1.25rem;}' +
+        '.nav-shortcuts dl{display:grid;grid-template-columns:auto 1fr;gap:.5rem 1rem;margin:0;}' +
+        '.nav-shortcuts dt{display:flex;gap:4px;}' +
+        '.nav-shortcuts dd{margin:0;align-self:center;}' +
+        '.nav-shortcuts kbd{min-width:1.6em;padding:2px 6px;border:1px solid #cbd5e1;' +
+        'border-bottom-width:2px;border-radius:5px;background:#f8fafc;font:inherit;' +
+        'font-size:.85em;text-align:center;}' +
+        '.nav-shortcuts-close{position:absolute;top:.75rem;right:.75rem;border:none;' +
+        'background:none;font-size:1.25rem;cursor:pointer;color:inherit;}' +
+        'html.dark-mode .nav-shortcuts-box{background:#1e293b;color:#f1f5f9;}' +
+        'html.dark-mode .nav-shortcuts kbd{background:#334155;border-color:#475569;}' +
+        '@media print{.nav-shortcuts{display:none;}}';
+    document.head.appendChild(style);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'nav-shortcuts';
+    overlay.hidden = true;
+    overlay.innerHTML =
+        '<div class="nav-shortcuts-box" role="dialog" aria-modal="true" aria-labelledby="navShortcutsTitle">' +
+        '<button type="button" class="nav-shortcuts-close" aria-label="Schließen">✕</button>' +
+        '<h2 id="navShortcutsTitle">⌨️ Tastenkürzel</h2><dl></dl></div>';
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.closest('.nav-shortcuts-close')) close();
+    });
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+// Fortschrittsbalken: Position in den Tabs bzw. gescrollter Anteil
+Navigation.registerPlugin('progress', (nav) => {
+    const update = () => {
+        const bar = document.querySelector(nav.config.selectors.progressBar);
+        if (!bar) return;
+
+        let percent;
+        if (nav.mode === 'tabs') {
+            const index = nav.getSectionIds().indexOf(nav.current);
+            percent = nav.sections.length > 0 ? ((index + 1) / nav.sections.length) * 100 : 0;
+        } else {
+            const max = document.documentElement.scrollHeight - window.innerHeight;
+            percent = max > 0 ? (window.pageYOffset / max) * 100 : 0;
+        }
+        bar.style.width = `${Math.min(Math.max(percent, 0), 100)}%`;
+    };
+
+    return {
+        change: update,
+        scroll: () => { if (nav.mode !== 'tabs') update(); },
+        resize: update
+    };
+});
+
+// Abschnitt (und Ziel darin) im Anker der URL, Zurück/Vorwärts über die
+// History-API: jeder Eintrag merkt sich Scrollposition und Plugin-Zustand
+Navigation.registerPlugin('hash', (nav) => {
+    const fromUrl = () => {
+        try {
+            return nav.resolveLocation(decodeURIComponent(window.location.hash.substring(1)));
+        } catch (e) {
+            return null;
+        }
+    };
+    const entry = (section, target) => ({ section, target: target || null });
+    const hashOf = (location) => location.target ? `${location.section}/${location.target}` : location.section;
+
+    const initial = fromUrl();
+
+    // Tabs: the browser would restore the offset of another section
+    if (nav.mode === 'tabs' && 'scrollRestoration' in history) {
+        history.scrollRestoration = 'manual';
+    }
+
+    window.addEventListener('popstate', (e) => {
+        const saved = e.state && e.state.eduNav;
+        const location = saved || fromUrl();
+        if (!location || !nav.has(location.section)) return;
+
+        if (location.section !== nav.current || nav.mode === 'scroll') {
+            nav.goTo(location.section, { source: 'history', scroll: nav.mode === 'scroll' && !saved });
+        }
+
+        if (saved) {
+            nav.restoreState(saved.plugins);
+            window.requestAnimationFrame(() => window.scrollTo(0, saved.scroll || 0));
+            return;
+        }
+
+        // New entry from a plain in-page link (#feedback-4): canonical address
+        history.replaceState({ eduNav: entry(location.section, location.target) }, '', `#${hashOf(location)}`);
+        const element = nav.findTarget(location.section, location.target);
+        if (element) nav.showTarget(element);
+    });
+
+    return {
+        initialSection: () => initial && initial.section,
+
+        // Remember where the student was before moving on
+        leave: (detail) => {
+            if (!detail.updateHash || detail.source === 'history' || detail.source === 'scroll') return;
+            const current = (history.state && history.state.eduNav) || entry(detail.id);
+            history.replaceState({
+                ...history.state,
+                eduNav: { ...current, section: detail.id, scroll: window.pageYOffset, plugins: nav.saveState() }
+            }, '');
+        },
+
+        change: (detail) => {
+            if (detail.source === 'init') {
+                const target = initial && initial.section === detail.id ? initial.target : null;
+                history.replaceState({ ...history.state, eduNav: entry(detail.id, target) }, '');
+                const element = nav.findTarget(detail.id, target);
+                // Let the layout settle (images, fonts) before jumping
+                if (element) setTimeout(() => nav.showTarget(element), 300);
+                return;
+            }
+            if (!detail.updateHash || detail.source === 'history' || detail.source === 'scroll') return;
+            history.pushState({ eduNav: entry(detail.id) }, '', `#${detail.id}`);
+        }
+    };
+});
+
+// Eine Tastaturschicht für alle Seiten, siehe registerShortcut
+Navigation.registerPlugin('keyboard', (nav) => {
+    document.addEventListener('keydown', (e) => nav.handleKey(e));
+    return {};
+});
+
+const hasSections = nav => nav.config.arrows && nav.mode !== 'overview' && nav.sections.length > 1;
+
+Navigation.registerShortcut({
+    keys: ['ArrowRight'],
+    label: 'Nächster Abschnitt',
+    available: hasSections,
+    run: nav => nav.next()
+});
+
+Navigation.registerShortcut({
+    keys: ['ArrowLeft'],
+    label: 'Vorheriger Abschnitt',
+    available: hasSections,
+    run: nav => nav.previous()
+});
+
+// The sidebar only folds away on small screens
+Navigation.registerShortcut({
+    keys: ['m'],
+    label: 'Menü ein-/ausblenden',
+    available: nav => nav.isMobile && !!document.querySelector(nav.config.selectors.sidebar),
+    run: nav => nav.toggleSidebar()
+});
+
+Navigation.registerShortcut({
+    keys: ['l'],
+    label: 'Nächste Lösung anzeigen',
+    available: nav => nav.findNextSolution() !== null,
+    run: nav => nav.revealNextSolution()
+});
+
+// Search box from search.js
+Navigation.registerShortcut({
+    keys: ['/', 's'],
+    label: 'Suche',
+    available: nav => !!document.querySelector(nav.config.selectors.searchInput),
+    run: nav => document.querySelector(nav.config.selectors.searchInput).focus()
+});
+
+Navigation.registerShortcut({
+    keys: ['f'],
+    label: 'Präsentation (Vollbild)',
+    available: nav => nav.mode !== 'overview' && nav.sections.length > 0,
+    run: nav => nav.startPresentation()
+});
+
+Navigation.registerShortcut({
+    keys: ['p'],
+    label: 'Drucken',
+    run: () => window.print()
+});
+
+Navigation.registerShortcut({
+    keys: ['Escape'],
+    label: 'Menü bzw. Fenster schließen',
+    run: nav => nav.closeSidebar()
+});
+
+Navigation.registerShortcut({
+    keys: ['?'],
+    label: 'Diese Übersicht',
+    run: nav => nav.toggleShortcutHelp()
+});
+
+// ==========================================
+// AUTO START
+// ==========================================
+// Deferred scripts run before DOMContentLoaded, so script.js and
+// baseScript.js attach first with their own defaults
+function autoAttachNavigation() {
+    if (NAVIGATION_MODES.includes(document.body.dataset.nav)) {
+        Navigation.attach();
+    }
+}
+
+window.EduNavigation = Navigation;
+
+if (document.readyState === 'complete') {
+    autoAttachNavigation();
+} else {
+    document.addEventListener('DOMContentLoaded', autoAttachNavigation);
+    window.addEventListener('load', autoAttachNavigation);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Navigation };
+}
@@ -3,9 +3,11 @@
    Strategy:
    - Editorial pages are real static HTML per language (/de/, /en/),
      linked via <link rel="alternate" hreflang> in each page head.
+   - Tool pages are one HTML file for all languages (<html data-tool-page>);
+     their switcher buttons change the language in place.
    - This script only (a) remembers the user's language choice,
      (b) wires the header switcher to the counterpart page, and
-     (c) exposes t() for future tool pages that use ui-strings JSON.
+     (c) loads ui-strings JSON for tool pages (t(), data-i18n).
    No framework, no build step, progressive enhancement only.
    ============================================================ */
 
@@ -36,6 +38,31 @@
     try { return localStorage.getItem(STORAGE_KEY); } catch (e) { return null; }
   }
 
+  function isToolPage() {
+    return document.documentElement.hasAttribute('data-tool-page');
+  }
+
+  // Tool pages have no per-language URL: ?lang=, then the saved choice,
+  // then the browser language, then German.
+  function preferredLang() {
+    var param = (location.search.match(/[?&]lang=([a-z]{2})\b/) || [])[1];
+    var browser = (navigator.language || '').slice(0, 2).toLowerCase();
+    var candidates = [param, savedChoice(), browser];
+    for (var i = 0; i < candidates.length; i++) {
+      if (SUPPORTED.indexOf(candidates[i]) !== -1) return candidates[i];
+    }
+    return 'de';
+  }
+
+  function markSwitcher(switcher) {
+    SUPPORTED.forEach(function (lang) {
+      var el = switcher.querySelector('[data-lang="' + lang + '"]');
+      if (!el) return;
+      if (lang === currentLang()) el.setAttribute('aria-current', 'true');
+      else el.removeAttribute('aria-current');
+    });
+  }
+
   // Wire up the language switcher in the header.
   document.addEventListener('DOMContentLoaded', function () {
     var switcher = document.querySelector('.lang-switch');
@@ -43,9 +70,13 @@
       SUPPORTED.forEach(function (lang) {
         var el = switcher.querySelector('[data-lang="' + lang + '"]');
         if (!el) return;
-        if (lang === currentLang()) {
-          el.setAttribute('aria-current', 'true');
-        } else {
+        if (el.tagName === 'BUTTON') {
+          // Tool page: same URL, switch strings in place
+          el.addEventListener('click', function () {
+            rememberChoice(lang);
+            loadStrings(lang);
+          });
+        } else if (lang !== currentLang()) {
           var href = alternateFor(lang);
           if (href && el.tagName === 'A') {
             el.setAttribute('href', href);
@@ -53,12 +84,14 @@
           }
         }
       });
+      markSwitcher(switcher);
+      document.addEventListener('i18n:change', function () { markSwitcher(switcher); });
     }
 
     // Gentle first-visit hint (no auto-redirect: redirects annoy and hurt SEO).
     // If the browser prefers a supported language different from the page
     // and the user has never chosen, the switcher gets a subtle highlight.
-    if (!savedChoice()) {
+    if (!savedChoice() && !isToolPage()) {
       var pref = (navigator.language || 'de').slice(0, 2).toLowerCase();
       if (SUPPORTED.indexOf(pref) !== -1 && pref !== currentLang() && switcher) {
         switcher.style.boxShadow = '0 0 0 2px #2E7A4D';
@@ -66,28 +99,210 @@
     }
   });
 
-  /* ---------- For future tool pages ----------
+  /* ---------- UI strings for tool pages ----------
      Tool pages (food explorer, profile builder) are single HTML files
-     shared across languages. They load a strings file:
-       assets/i18n/ui.<lang>.json
-     and call I18N.t('key') for every UI string.
+     shared across languages. Their strings live in
+       assets/i18n/ui.<lang>.json   (next to this script's folder)
+     as nested objects and are addressed with dotted keys:
+       { "explorer": { "title": "Essens-Kompass" } }  ->  t('explorer.title')
+
+     - Interpolation: t('profile.saved', { name: 'Alex' }) fills {name}.
+     - Plurals: a value with "one"/"other" (optional "zero") is picked by
+       params.count using the page language's rules; {count} is formatted.
+     - Fallback chain: page language -> German (canonical) -> the key itself.
+     - Static markup: data-i18n="key" replaces the text, data-i18n-attr=
+       "placeholder:key; title:key" sets attributes, data-i18n-params holds
+       JSON params. Elements keep their German text if a key is missing.
+     - Dev mode (localhost, file://, ?i18n-debug or localStorage
+       "ews-i18n-debug" = "1") warns once per missing key, marks elements
+       with data-i18n-missing and I18N.report() lists gaps per language.
   ------------------------------------------------ */
-  var strings = {};
+  var FALLBACK = 'de';
+  var DEBUG_KEY = 'ews-i18n-debug';
+
+  // Both site languages only distinguish singular and plural.
+  var PLURAL_RULES = {
+    de: function (n) { return n === 1 ? 'one' : 'other'; },
+    en: function (n) { return n === 1 ? 'one' : 'other'; }
+  };
 
+  var scriptSrc = document.currentScript ? document.currentScript.src : '';
+  var stringsBase = scriptSrc
+    ? scriptSrc.replace(/js\/[^/]*$/, 'i18n/')
+    : '/assets/i18n/';
+
+  var catalogs = {};   // lang -> parsed ui.<lang>.json
+  var pending = {};    // lang -> Promise, so every file is fetched once
+  var missing = {};    // lang -> { key: true } seen at runtime
+  var active = currentLang();
+
+  function isDebug() {
+    if (/[?&]i18n-debug\b/.test(location.search)) return true;
+    try { if (localStorage.getItem(DEBUG_KEY) === '1') return true; } catch (e) { /* private mode */ }
+    return location.protocol === 'file:' ||
+      location.hostname === 'localhost' || location.hostname === '127.0.0.1';
+  }
+
+  function fetchStrings(lang) {
+    if (!pending[lang]) {
+      pending[lang] = fetch(stringsBase + 'ui.' + lang + '.json')
+        .then(function (r) { return r.ok ? r.json() : {}; })
+        .catch(function () { return {}; })
+        .then(function (json) { catalogs[lang] = json; return json; });
+    }
+    return pending[lang];
+  }
+
+  // Loads the language plus the German fallback, makes it the page
+  // language, translates data-i18n markup and fires "i18n:change".
+  // Resolves with the strings of the requested language.
   function loadStrings(lang) {
-    return fetch('/assets/i18n/ui.' + lang + '.json')
-      .then(function (r) { return r.ok ? r.json() : {}; })
-      .then(function (json) { strings = json; return json; });
+    lang = SUPPORTED.indexOf(lang) !== -1 ? lang : currentLang();
+    active = lang;
+    document.documentElement.lang = lang;
+    var langs = lang === FALLBACK ? [lang] : [lang, FALLBACK];
+    return Promise.all(langs.map(fetchStrings)).then(function () {
+      if (lang !== active) return catalogs[lang]; // superseded by a later switch
+      if (document.readyState !== 'loading') applyStrings(document);
+      document.dispatchEvent(new CustomEvent('i18n:change', { detail: { lang: lang } }));
+      return catalogs[lang];
+    });
+  }
+
+  function lookup(lang, key) {
+    var node = catalogs[lang];
+    var parts = key.split('.');
+    for (var i = 0; node && i < parts.length; i++) {
+      node = Object.prototype.hasOwnProperty.call(node, parts[i]) ? node[parts[i]] : undefined;
+    }
+    return node;
+  }
+
+  function noteMissing(lang, key) {
+    if (!missing[lang]) missing[lang] = {};
+    if (missing[lang][key]) return;
+    missing[lang][key] = true;
+    if (isDebug()) console.warn('[i18n] missing "' + key + '" in ' + lang);
+  }
+
+  function pickPlural(value, lang, count) {
+    if (count === 0 && value.zero !== undefined) return value.zero;
+    var rule = PLURAL_RULES[lang] || PLURAL_RULES[FALLBACK];
+    var form = value[rule(Math.abs(count))];
+    return form !== undefined ? form : value.other;
+  }
+
+  function interpolate(text, params, lang) {
+    return text.replace(/\{(\w+)\}/g, function (match, name) {
+      if (!params || params[name] === undefined) return match;
+      var value = params[name];
+      return typeof value === 'number' ? value.toLocaleString(lang) : String(value);
+    });
+  }
+
+  // Resolves key along the fallback chain; returns null if no language has
+  // a usable string (t() then shows the key, data-i18n keeps the markup).
+  function resolve(key, params) {
+    var chain = active === FALLBACK ? [active] : [active, FALLBACK];
+    for (var i = 0; i < chain.length; i++) {
+      var lang = chain[i];
+      var value = lookup(lang, key);
+      if (value && typeof value === 'object') {
+        value = pickPlural(value, lang, params && typeof params.count === 'number' ? params.count : NaN);
+      }
+      if (typeof value === 'string') return interpolate(value, params, lang);
+      noteMissing(lang, key);
+    }
+    return null;
+  }
+
+  function t(key, params) {
+    var text = resolve(key, params);
+    return text === null ? key : text;
   }
 
-  function t(key) {
-    return Object.prototype.hasOwnProperty.call(strings, key) ? strings[key] : key;
+  function readParams(el) {
+    var raw = el.getAttribute('data-i18n-params');
+    if (!raw) return undefined;
+    try { return JSON.parse(raw); } catch (e) { return undefined; }
   }
 
+  // Translates static markup below root (default: the whole document).
+  function applyStrings(root) {
+    root = root || document;
+    var debug = isDebug();
+    var nodes = root.querySelectorAll('[data-i18n], [data-i18n-attr]');
+    Array.prototype.forEach.call(nodes, function (el) {
+      var params = readParams(el);
+      var gaps = [];
+
+      var key = el.getAttribute('data-i18n');
+      if (key) {
+        var text = resolve(key, params);
+        if (text !== null) el.textContent = text; else gaps.push(key);
+      }
+
+      (el.getAttribute('data-i18n-attr') || '').split(';').forEach(function (pair) {
+        var parts = pair.split(':');
+        if (parts.length !== 2) return;
+        var value = resolve(parts[1].trim(), params);
+        if (value !== null) el.setAttribute(parts[0].trim(), value); else gaps.push(parts[1].trim());
+      });
+
+      if (debug && gaps.length) el.setAttribute('data-i18n-missing', gaps.join(' '));
+      else el.removeAttribute('data-i18n-missing');
+    });
+  }
+
+  // Dotted leaf keys of a strings object; plural objects count as one key.
+  function flatten(node, prefix, out) {
+    Object.keys(node).forEach(function (name) {
+      var key = prefix ? prefix + '.' + name : name;
+      var value = node[name];
+      var isPlural = value && typeof value === 'object' && typeof value.other === 'string';
+      if (value && typeof value === 'object' && !isPlural) flatten(value, key, out);
+      else out.push(key);
+    });
+    return out;
+  }
+
+  // Missing keys per language: every German key absent from a translation,
+  // plus keys requested at runtime that no file defines. Logged in dev mode.
+  function report() {
+    return Promise.all(SUPPORTED.map(fetchStrings)).then(function () {
+      var reference = flatten(catalogs[FALLBACK] || {}, '', []);
+      var result = {};
+      SUPPORTED.forEach(function (lang) {
+        var keys = reference.filter(function (key) { return lookup(lang, key) === undefined; });
+        Object.keys(missing[lang] || {}).forEach(function (key) {
+          if (keys.indexOf(key) === -1) keys.push(key);
+        });
+        result[lang] = keys.sort();
+      });
+      if (isDebug()) {
+        SUPPORTED.forEach(function (lang) {
+          console.info('[i18n] ' + lang + ': ' + result[lang].length + ' missing key(s)', result[lang]);
+        });
+      }
+      return result;
+    });
+  }
+
+  // Pages with data-i18n markup translate themselves; scripts wait for
+  // the strings with I18N.load() or listen for "i18n:change".
+  document.addEventListener('DOMContentLoaded', function () {
+    if (document.querySelector('[data-i18n], [data-i18n-attr]')) {
+      loadStrings(isToolPage() ? preferredLang() : currentLang());
+    }
+  });
+
   window.I18N = {
     lang: currentLang,
+    preferred: preferredLang,
     load: loadStrings,
     t: t,
+    apply: applyStrings,
+    report: report,
     remember: rememberChoice
   };
 })();
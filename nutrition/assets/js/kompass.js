@@ -0,0 +1,416 @@
+/* ============================================================
+   kompass.js — food explorer ("Essens-Kompass")
+   Reads the curated food list (data/foods.json, one array of entries
+   following schemas/food.schema.json) and renders filterable cards.
+
+   - Filters: text, category, tags, max. cost/effort/CO2 tier, and
+     allergens to hide (preset from profile.constraints.allergens_avoid).
+   - Nutrition per 100 g or per typical_portion.
+   - ❤️/🤔/❌ marks go into profile.food_marks via profile.js.
+     A food carries at most one mark; clicking the active mark clears it.
+   All strings come from assets/i18n/ui.<lang>.json via i18n.js; food
+   texts are localized objects with German as fallback.
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var MARKS = [
+    { id: 'like', icon: '❤️' },
+    { id: 'curious', icon: '🤔' },
+    { id: 'avoid', icon: '❌' }
+  ];
+
+  // Order of the category filter = order of the schema enum
+  var CATEGORIES = [
+    'gemuese', 'obst', 'getreide', 'huelsenfruechte', 'milchprodukte', 'eier', 'fisch',
+    'fleisch', 'nuesse-samen', 'fette-oele', 'gewuerze-basics', 'getraenke', 'fertig-halbfertig'
+  ];
+
+  // EU-regulated allergens (schema: food.allergens)
+  var ALLERGENS = [
+    'gluten', 'laktose', 'ei', 'soja', 'erdnuss', 'schalenfruechte', 'fisch',
+    'krebstiere', 'sellerie', 'senf', 'sesam', 'lupine', 'weichtiere', 'sulfite'
+  ];
+
+  var TIERS = [
+    { id: 'cost', value: function (food) { return food.cost_tier; } },
+    { id: 'convenience', value: function (food) { return food.convenience_tier; } },
+    { id: 'co2', value: function (food) { return food.eco.co2_tier; } }
+  ];
+
+  var NUTRIENTS = ['kcal', 'protein_g', 'fat_g', 'carbs_g', 'fiber_g', 'sugar_g', 'salt_g'];
+
+  var root, form, list, count;
+  var foods = [];
+  var ready = false;
+
+  /* ---------- Profile (profile.js; browser only, never sent anywhere) ---------- */
+  function readProfile() {
+    return window.Profile ? window.Profile.read() : {};
+  }
+
+  function markOf(id) {
+    var marks = readProfile().food_marks || {};
+    for (var i = 0; i < MARKS.length; i++) {
+      if ((marks[MARKS[i].id] || []).indexOf(id) !== -1) return MARKS[i].id;
+    }
+    return null;
+  }
+
+  // Resolves once the mark is stored; a failed save is shown, not dropped.
+  function setMark(id, mark) {
+    if (!window.Profile) return Promise.resolve();
+    // update() re-reads: another tab may have changed the profile
+    return window.Profile.update(function (profile) {
+      var marks = profile.food_marks || {};
+      MARKS.forEach(function (m) {
+        var ids = (marks[m.id] || []).filter(function (other) { return other !== id; });
+        if (m.id === mark) ids.push(id);
+        if (ids.length) marks[m.id] = ids; else delete marks[m.id];
+      });
+      profile.food_marks = marks;
+    }).then(function () {
+      window.Profile.showStatus(list, '');
+    }, function (failure) {
+      window.Profile.showStatus(list, t('explorer.mark_failed'), failure.errors);
+    });
+  }
+
+  /* ---------- Helpers ---------- */
+  function t(key, params) { return window.I18N.t(key, params); }
+
+  // Label for a slug; unknown slugs are shown as they are.
+  function label(group, slug) {
+    var key = group + '.' + slug;
+    var text = t(key);
+    return text === key ? slug : text;
+  }
+
+  function localized(text) {
+    if (!text) return '';
+    return text[window.I18N.lang()] || text.de || '';
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function formatAmount(value) {
+    return value.toLocaleString(window.I18N.lang(), { maximumFractionDigits: value < 10 ? 1 : 0 });
+  }
+
+  /* ---------- Filters ---------- */
+  function option(select, value, text) {
+    var opt = el('option', '', text);
+    opt.value = value;
+    select.appendChild(opt);
+  }
+
+  function chip(name, value, text) {
+    var wrap = el('label', 'chip');
+    var input = el('input');
+    input.type = 'checkbox';
+    input.name = name;
+    input.value = value;
+    wrap.appendChild(input);
+    wrap.appendChild(document.createTextNode(' ' + text));
+    return wrap;
+  }
+
+  // (Re)builds all option labels in the current language; keeps the state.
+  function buildFilters(state) {
+    var category = form.elements.category;
+    category.innerHTML = '';
+    option(category, '', t('explorer.category_all'));
+    CATEGORIES.forEach(function (slug) { option(category, slug, label('category', slug)); });
+
+    var tierBox = form.querySelector('.tier-selects');
+    tierBox.innerHTML = '';
+    TIERS.forEach(function (tier) {
+      var field = el('label', 'tier-select');
+      field.appendChild(el('span', '', t('tier.' + tier.id)));
+      var select = el('select');
+      select.name = 'tier-' + tier.id;
+      option(select, '', t('explorer.tier_any'));
+      [1, 2].forEach(function (level) { option(select, level, '≤ ' + t('tier.' + tier.id + '_' + level)); });
+      field.appendChild(select);
+      tierBox.appendChild(field);
+    });
+
+    // Only tags that occur in the data, sorted by their label
+    var tags = [];
+    foods.forEach(function (food) {
+      food.tags.forEach(function (tag) { if (tags.indexOf(tag) === -1) tags.push(tag); });
+    });
+    tags.sort(function (a, b) { return label('tag', a).localeCompare(label('tag', b), window.I18N.lang()); });
+    var tagBox = form.querySelector('[data-chips="tags"]');
+    tagBox.innerHTML = '';
+    tags.forEach(function (tag) { tagBox.appendChild(chip('tags', tag, label('tag', tag))); });
+
+    var allergenBox = form.querySelector('[data-chips="allergens"]');
+    allergenBox.innerHTML = '';
+    ALLERGENS.forEach(function (slug) { allergenBox.appendChild(chip('allergens', slug, label('allergen', slug))); });
+
+    var mark = form.elements.mark;
+    mark.innerHTML = '';
+    option(mark, '', t('explorer.marks_all'));
+    MARKS.forEach(function (m) { option(mark, m.id, m.icon + ' ' + t('mark.' + m.id)); });
+    option(mark, 'none', t('explorer.marks_none'));
+
+    writeFilters(state);
+  }
+
+  function checked(name) {
+    return Array.prototype.filter.call(form.querySelectorAll('input[name="' + name + '"]'), function (input) {
+      return input.checked;
+    }).map(function (input) { return input.value; });
+  }
+
+  function readFilters() {
+    var tiers = {};
+    TIERS.forEach(function (tier) { tiers[tier.id] = Number(form.elements['tier-' + tier.id].value) || 0; });
+    return {
+      q: form.elements.q.value.trim().toLowerCase(),
+      category: form.elements.category.value,
+      tiers: tiers,
+      tags: checked('tags'),
+      allergens: checked('allergens'),
+      mark: form.elements.mark.value,
+      view: form.querySelector('input[name="view"]:checked').value
+    };
+  }
+
+  function writeFilters(state) {
+    if (!state) return;
+    form.elements.q.value = state.q;
+    form.elements.category.value = state.category;
+    form.elements.mark.value = state.mark;
+    TIERS.forEach(function (tier) { form.elements['tier-' + tier.id].value = state.tiers[tier.id] || ''; });
+    ['tags', 'allergens'].forEach(function (name) {
+      Array.prototype.forEach.call(form.querySelectorAll('input[name="' + name + '"]'), function (input) {
+        input.checked = state[name].indexOf(input.value) !== -1;
+      });
+    });
+  }
+
+  function matches(food, filters) {
+    if (filters.q) {
+      var haystack = [food.name.de, food.name.en, localized(food.name), food.id].join(' ').toLowerCase();
+      if (haystack.indexOf(filters.q) === -1) return false;
+    }
+    if (filters.category && food.category !== filters.category) return false;
+    for (var i = 0; i < TIERS.length; i++) {
+      var max = filters.tiers[TIERS[i].id];
+      if (max && TIERS[i].value(food) > max) return false;
+    }
+    if (filters.tags.some(function (tag) { return food.tags.indexOf(tag) === -1; })) return false;
+    if ((food.allergens || []).some(function (a) { return filters.allergens.indexOf(a) !== -1; })) return false;
+    if (filters.mark) {
+      var mark = markOf(food.id);
+      if (filters.mark === 'none' ? mark !== null : mark !== filters.mark) return false;
+    }
+    return true;
+  }
+
+  /* ---------- Cards ---------- */
+  function nutritionTable(food, view) {
+    var portion = view === 'portion' ? food.typical_portion : null;
+    var factor = portion ? portion.grams / 100 : 1;
+    var table = el('table', 'simple nutrition');
+    var caption = view === 'portion' && !portion
+      ? t('explorer.no_portion')
+      : portion
+        ? t('explorer.per_portion', { label: localized(portion.label), grams: portion.grams })
+        : t('explorer.per_100g');
+    table.appendChild(el('caption', '', caption));
+
+    var body = el('tbody');
+    NUTRIENTS.forEach(function (key) {
+      var value = food.nutrition[key];
+      if (typeof value !== 'number') return;
+      var row = el('tr');
+      row.appendChild(el('th', '', t('nutrient.' + key)));
+      row.appendChild(el('td', '', formatAmount(value * factor) + (key === 'kcal' ? ' kcal' : ' g')));
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    return table;
+  }
+
+  function listLine(title, items) {
+    var line = el('p', 'food-meta');
+    line.appendChild(el('strong', '', title + ': '));
+    line.appendChild(document.createTextNode(items.join(', ')));
+    return line;
+  }
+
+  function renderFood(food, view) {
+    var card = el('article', 'card food-card');
+    card.id = 'food-' + food.id;
+
+    var head = el('div', 'food-head');
+    head.appendChild(el('h3', '', localized(food.name)));
+    head.appendChild(el('span', 'food-category', label('category', food.category)));
+    card.appendChild(head);
+
+    var badges = el('ul', 'tier-badges');
+    TIERS.forEach(function (tier) {
+      var level = tier.value(food);
+      badges.appendChild(el('li', 'tier tier-' + level,
+        t('tier.' + tier.id) + ': ' + t('tier.' + tier.id + '_' + level)));
+    });
+    card.appendChild(badges);
+
+    card.appendChild(el('p', 'food-blurb', localized(food.blurb)));
+    card.appendChild(nutritionTable(food, view));
+
+    if (food.tags.length) {
+      card.appendChild(listLine(t('explorer.tags'), food.tags.map(function (tag) { return label('tag', tag); })));
+    }
+    if ((food.nutrition.micros || []).length) {
+      card.appendChild(listLine(t('explorer.micros'), food.nutrition.micros.map(function (m) { return label('micro', m); })));
+    }
+    if ((food.allergens || []).length) {
+      card.appendChild(listLine(t('explorer.contains'), food.allergens.map(function (a) { return label('allergen', a); })));
+    }
+
+    if (food.eco.note || typeof food.eco.co2_kg_per_kg === 'number') {
+      var eco = el('details', 'why');
+      eco.appendChild(el('summary', '', t('explorer.eco')));
+      if (food.eco.note) eco.appendChild(el('p', '', localized(food.eco.note)));
+      if (typeof food.eco.co2_kg_per_kg === 'number') {
+        eco.appendChild(el('p', '', t('explorer.co2_exact', { value: food.eco.co2_kg_per_kg })));
+      }
+      card.appendChild(eco);
+    }
+
+    // Swap partners that are in the list (the rest is still being curated)
+    var swaps = (food.swaps || []).map(findFood).filter(Boolean);
+    if (swaps.length) {
+      var line = el('p', 'food-meta');
+      line.appendChild(el('strong', '', t('explorer.swaps') + ': '));
+      swaps.forEach(function (other, i) {
+        if (i > 0) line.appendChild(document.createTextNode(', '));
+        var link = el('a', '', localized(other.name));
+        link.href = '#food-' + other.id;
+        link.setAttribute('data-show', other.id);
+        line.appendChild(link);
+      });
+      card.appendChild(line);
+    }
+
+    var current = markOf(food.id);
+    var marks = el('div', 'mark-buttons');
+    marks.setAttribute('role', 'group');
+    marks.setAttribute('aria-label', t('explorer.marks'));
+    MARKS.forEach(function (m) {
+      var button = el('button', '', m.icon + ' ' + t('mark.' + m.id));
+      button.type = 'button';
+      button.setAttribute('data-mark', m.id);
+      button.setAttribute('data-food', food.id);
+      button.setAttribute('aria-pressed', String(current === m.id));
+      marks.appendChild(button);
+    });
+    card.appendChild(marks);
+    return card;
+  }
+
+  function findFood(id) {
+    for (var i = 0; i < foods.length; i++) {
+      if (foods[i].id === id) return foods[i];
+    }
+    return null;
+  }
+
+  function render() {
+    var filters = readFilters();
+    var shown = foods.filter(function (food) { return matches(food, filters); });
+    shown.sort(function (a, b) { return localized(a.name).localeCompare(localized(b.name), window.I18N.lang()); });
+
+    list.innerHTML = '';
+    shown.forEach(function (food) { list.appendChild(renderFood(food, filters.view)); });
+    count.textContent = t('explorer.count', { count: shown.length });
+  }
+
+  // Swap links: clear the filters if they hide the target, then jump to it.
+  function showFood(id) {
+    if (!document.getElementById('food-' + id)) {
+      form.reset();
+      render();
+    }
+    var card = document.getElementById('food-' + id);
+    if (card) {
+      card.scrollIntoView({ block: 'start' });
+      card.querySelector('button').focus({ preventScroll: true });
+    }
+  }
+
+  /* ---------- Setup ---------- */
+  function start() {
+    var constraints = readProfile().constraints || {};
+    buildFilters(null);
+    // The profile's allergens are the starting point, not a lock
+    writeFilters({
+      q: '', category: '', mark: '', tiers: {}, tags: [],
+      allergens: constraints.allergens_avoid || []
+    });
+    ready = true;
+    render();
+
+    form.addEventListener('input', render);
+    form.addEventListener('change', render);
+    form.addEventListener('submit', function (e) { e.preventDefault(); });
+    form.addEventListener('reset', function () { setTimeout(render, 0); });
+
+    list.addEventListener('click', function (e) {
+      var target = e.target.closest('[data-mark], [data-show]');
+      if (!target) return;
+      e.preventDefault();
+      if (target.hasAttribute('data-show')) {
+        showFood(target.getAttribute('data-show'));
+        return;
+      }
+      var id = target.getAttribute('data-food');
+      var mark = target.getAttribute('data-mark');
+      setMark(id, markOf(id) === mark ? null : mark).then(function () {
+        render();
+        var again = document.querySelector('[data-food="' + id + '"][data-mark="' + mark + '"]');
+        if (again) again.focus();
+      });
+    });
+
+    // Language switch: rebuild labels, keep what the user selected
+    document.addEventListener('i18n:change', function () {
+      var state = readFilters();
+      buildFilters(state);
+      render();
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', function () {
+    root = document.getElementById('explorer');
+    if (!root || !window.I18N) return;
+    form = root.querySelector('.explorer-filters');
+    list = root.querySelector('.food-list');
+    count = root.querySelector('.explorer-count');
+
+    var data = fetch(root.getAttribute('data-src'))
+      .then(function (r) {
+        if (!r.ok) throw new Error(r.status);
+        return r.json();
+      });
+
+    Promise.all([data, window.I18N.load(window.I18N.preferred())])
+      .then(function (results) {
+        foods = Array.isArray(results[0]) ? results[0] : [];
+        if (!ready) start();
+      })
+      .catch(function () {
+        count.textContent = t('explorer.load_error');
+      });
+  });
+})();
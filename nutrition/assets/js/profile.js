@@ -0,0 +1,367 @@
+/* ============================================================
+   profile.js — the browser-only user profile
+   The profile (schemas/profile.schema.json) lives in localStorage under
+   "ews-profile" and in JSON files the user exports. It is never sent to
+   the server: this module only talks to localStorage, the File API and a
+   GET for the schema itself (tools/check-privacy.js enforces that).
+
+   - Profile.read()         stored profile, migrated to the current version
+   - Profile.save(p)        Promise; validates, then stores
+   - Profile.update(fn)     Promise; read -> fn(profile) -> save
+   - Profile.validate(p)    list of { path, code, expected } errors
+   - Profile.ready          Promise; resolves once the schema has loaded
+   - Profile.exportFile()   downloads the profile as JSON
+   - Profile.importFile(f)  Promise; migrates + validates before storing
+   - Profile.wipe()         removes the profile and every other "ews-" key
+   - Profile.showStatus(el, message, errors)
+                            message (+ error list) in the [data-profile-status]
+                            around el, as on werkzeuge/profil.html
+
+   Writes wait for the schema and reject with { errors } if it is invalid
+   or the schema could not be loaded – nothing is stored unchecked.
+
+   Migrations: MIGRATIONS[n] turns a version-n profile into version n+1.
+   Profiles without "version" count as version 0. Raise VERSION, add the
+   step and bump "const" in the schema together.
+
+   Page wiring (optional): elements with data-profile-export,
+   data-profile-import (file input), data-profile-wipe and
+   data-profile-summary work on their own; messages go to the nearest
+   [data-profile-status].
+   ============================================================ */
+
+(function () {
+  'use strict';
+
+  var STORAGE_KEY = 'ews-profile';
+  var STORAGE_PREFIX = 'ews-';
+  var VERSION = 1;
+
+  var MIGRATIONS = {
+    // Unversioned profiles (early food explorer builds): drop duplicate
+    // marks, a food keeps the first of like/curious/avoid.
+    0: function (profile) {
+      var seen = {};
+      var marks = profile.food_marks || {};
+      ['like', 'curious', 'avoid'].forEach(function (mark) {
+        if (!Array.isArray(marks[mark])) return;
+        marks[mark] = marks[mark].filter(function (id) {
+          if (seen[id]) return false;
+          seen[id] = true;
+          return true;
+        });
+      });
+      return profile;
+    }
+  };
+
+  // null until the schema has loaded; validate() fails until then.
+  var schema = null;
+  var schemaUrl = document.currentScript
+    ? document.currentScript.src.replace(/assets\/js\/[^/]*$/, 'schemas/profile.schema.json')
+    : null;
+
+  /* ---------- Validation (the JSON Schema subset the schema uses) ---------- */
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  function hasType(expected, value) {
+    var actual = typeOf(value);
+    return actual === expected || (expected === 'number' && actual === 'integer');
+  }
+
+  function check(rules, value, path, errors) {
+    function fail(code, expected) { errors.push({ path: path || '/', code: code, expected: expected }); }
+
+    if (rules.type && !hasType(rules.type, value)) return fail('type', rules.type);
+    if (Object.prototype.hasOwnProperty.call(rules, 'const') && value !== rules.const) return fail('const', rules.const);
+    if (rules.enum && rules.enum.indexOf(value) === -1) return fail('enum', rules.enum.join(', '));
+
+    if (typeof value === 'number') {
+      if (!isFinite(value)) return fail('type', rules.type);
+      if (rules.minimum !== undefined && value < rules.minimum) fail('minimum', rules.minimum);
+      if (rules.maximum !== undefined && value > rules.maximum) fail('maximum', rules.maximum);
+    }
+
+    if (typeof value === 'string') {
+      if (rules.maxLength !== undefined && value.length > rules.maxLength) fail('maxLength', rules.maxLength);
+      if (rules.pattern && !new RegExp(rules.pattern).test(value)) fail('pattern', rules.pattern);
+    }
+
+    if (Array.isArray(value)) {
+      if (rules.uniqueItems) {
+        var seen = value.map(function (item) { return JSON.stringify(item); });
+        if (seen.some(function (item, i) { return seen.indexOf(item) !== i; })) fail('uniqueItems');
+      }
+      if (rules.items) {
+        value.forEach(function (item, i) { check(rules.items, item, path + '/' + i, errors); });
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      var props = rules.properties || {};
+      (rules.required || []).forEach(function (key) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) fail('required', key);
+      });
+      Object.keys(value).forEach(function (key) {
+        if (props[key]) check(props[key], value[key], path + '/' + key, errors);
+        else if (rules.additionalProperties === false) errors.push({ path: path + '/' + key, code: 'unknown' });
+      });
+    }
+  }
+
+  function validate(profile) {
+    var errors = [];
+    if (!schema) return [{ path: '/', code: 'schema' }];
+    check(schema, profile, '', errors);
+    return errors;
+  }
+
+  function useSchema(json) {
+    schema = json;
+  }
+
+  function loadSchema() {
+    var failure = { errors: [{ path: '/', code: 'schema' }] };
+    if (!schemaUrl || typeof fetch !== 'function') return Promise.reject(failure);
+    return fetch(schemaUrl)
+      .then(function (r) { return r.ok ? r.json() : Promise.reject(failure); })
+      .then(function (json) { useSchema(json); return schema; })
+      .catch(function () { return Promise.reject(failure); });
+  }
+
+  var ready = loadSchema();
+  ready.catch(function () { /* reported by every write */ });
+
+  function whenSchema() {
+    return schema ? Promise.resolve(schema) : ready;
+  }
+
+  /* ---------- Migrations ---------- */
+  // Returns a migrated copy; throws for profiles from a newer site version.
+  function migrate(profile) {
+    var copy = JSON.parse(JSON.stringify(profile));
+    var version = typeof copy.version === 'number' ? copy.version : 0;
+    if (version > VERSION) {
+      var error = new Error('Profile version ' + version + ' is newer than ' + VERSION);
+      error.code = 'newer';
+      throw error;
+    }
+    while (version < VERSION) {
+      copy = MIGRATIONS[version](copy);
+      version++;
+      copy.version = version;
+    }
+    return copy;
+  }
+
+  /* ---------- Storage ---------- */
+  function read() {
+    var stored = null;
+    try { stored = JSON.parse(localStorage.getItem(STORAGE_KEY)); } catch (e) { /* unreadable: start fresh */ }
+    if (typeOf(stored) !== 'object') return { version: VERSION };
+    try {
+      return migrate(stored);
+    } catch (e) {
+      return stored; // newer version: leave it untouched
+    }
+  }
+
+  // Resolves with the stored profile; rejects with { errors } otherwise.
+  function save(profile) {
+    return whenSchema().then(function () {
+      var errors = validate(profile);
+      if (errors.length) return Promise.reject({ errors: errors });
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+      } catch (e) {
+        return Promise.reject({ errors: [{ path: '/', code: 'storage' }] });
+      }
+      return profile;
+    });
+  }
+
+  // Reads only once the schema is there, so change() sees the latest state.
+  function update(change) {
+    return whenSchema().then(function () {
+      var profile = read();
+      change(profile);
+      profile.version = VERSION;
+      return save(profile);
+    });
+  }
+
+  function wipe() {
+    var keys = [];
+    try {
+      for (var i = 0; i < localStorage.length; i++) {
+        var key = localStorage.key(i);
+        if (key && key.indexOf(STORAGE_PREFIX) === 0) keys.push(key);
+      }
+      keys.forEach(function (key) { localStorage.removeItem(key); });
+    } catch (e) { /* private mode: nothing stored */ }
+    return keys;
+  }
+
+  /* ---------- Files (never uploaded: Blob URL out, FileReader in) ---------- */
+  function exportFile() {
+    var json = JSON.stringify(read(), null, 2);
+    var url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = 'ews-profil-' + new Date().toISOString().slice(0, 10) + '.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+  }
+
+  // Resolves with the stored profile; rejects with { errors } otherwise.
+  function importText(text) {
+    var profile;
+    try {
+      profile = JSON.parse(text);
+    } catch (e) {
+      return Promise.reject({ errors: [{ path: '/', code: 'json' }] });
+    }
+    if (typeOf(profile) !== 'object') {
+      return Promise.reject({ errors: [{ path: '/', code: 'type', expected: 'object' }] });
+    }
+    try {
+      profile = migrate(profile);
+    } catch (e) {
+      return Promise.reject({ errors: [{ path: '/version', code: e.code || 'version' }] });
+    }
+    return save(profile);
+  }
+
+  function importFile(file) {
+    return new Promise(function (resolve, reject) {
+      var reader = new FileReader();
+      reader.onload = function () { resolve(reader.result); };
+      reader.onerror = function () { reject({ errors: [{ path: '/', code: 'file' }] }); };
+      reader.readAsText(file);
+    }).then(importText);
+  }
+
+  /* ---------- Page wiring ---------- */
+  function t(key, params) {
+    return window.I18N ? window.I18N.t(key, params) : key;
+  }
+
+  function describeError(error) {
+    return error.path + ': ' + t('profile.error.' + error.code, { expected: error.expected });
+  }
+
+  function setStatus(origin, message, errors) {
+    var status = origin.closest('[data-profile-status]') ||
+      document.querySelector('[data-profile-status]');
+    if (!status) return;
+    var target = status.querySelector('.profile-status') || status;
+    target.textContent = message;
+    if (errors && errors.length) {
+      var list = document.createElement('ul');
+      errors.slice(0, 10).forEach(function (error) {
+        var item = document.createElement('li');
+        item.textContent = describeError(error);
+        list.appendChild(item);
+      });
+      target.appendChild(list);
+    }
+  }
+
+  function renderSummary() {
+    var profile = read();
+    var marks = profile.food_marks || {};
+    var sections = ['body', 'activity', 'goals', 'constraints', 'habits'].filter(function (key) {
+      return profile[key] !== undefined;
+    });
+    Array.prototype.forEach.call(document.querySelectorAll('[data-profile-summary]'), function (box) {
+      var rows = [
+        [t('profile.summary.stage'), profile.stage !== undefined ? String(profile.stage) : '–'],
+        [t('profile.summary.marks'), ['like', 'curious', 'avoid'].map(function (mark) {
+          return t('profile.summary.' + mark, { count: (marks[mark] || []).length });
+        }).join(' · ')],
+        [t('profile.summary.sections'), sections.length ? sections.map(function (key) {
+          return t('profile.section.' + key);
+        }).join(', ') : '–']
+      ];
+      box.innerHTML = '';
+      rows.forEach(function (row) {
+        var dt = document.createElement('dt');
+        var dd = document.createElement('dd');
+        dt.textContent = row[0];
+        dd.textContent = row[1];
+        box.appendChild(dt);
+        box.appendChild(dd);
+      });
+    });
+  }
+
+  function wirePage() {
+    document.addEventListener('click', function (e) {
+      var exportButton = e.target.closest('[data-profile-export]');
+      if (exportButton) {
+        exportFile();
+        setStatus(exportButton, t('profile.exported'));
+        return;
+      }
+      var wipeButton = e.target.closest('[data-profile-wipe]');
+      if (wipeButton && window.confirm(t('profile.wipe_confirm'))) {
+        wipe();
+        renderSummary();
+        setStatus(wipeButton, t('profile.wiped'));
+      }
+    });
+
+    document.addEventListener('change', function (e) {
+      var input = e.target.closest('[data-profile-import]');
+      if (!input || !input.files.length) return;
+      importFile(input.files[0]).then(function () {
+        renderSummary();
+        setStatus(input, t('profile.imported'));
+      }, function (failure) {
+        setStatus(input, t('profile.import_failed'), failure.errors);
+      }).then(function () { input.value = ''; });
+    });
+
+    document.addEventListener('i18n:change', renderSummary);
+    renderSummary();
+  }
+
+  var api = {
+    KEY: STORAGE_KEY,
+    VERSION: VERSION,
+    MIGRATIONS: MIGRATIONS,
+    read: read,
+    save: save,
+    update: update,
+    validate: validate,
+    migrate: migrate,
+    useSchema: useSchema,
+    ready: ready,
+    exportFile: exportFile,
+    importFile: importFile,
+    importText: importText,
+    wipe: wipe,
+    showStatus: setStatus
+  };
+
+  window.Profile = api;
+
+  if (typeof document.addEventListener === 'function') {
+    document.addEventListener('DOMContentLoaded', function () {
+      if (document.querySelector('[data-profile-export], [data-profile-import], [data-profile-wipe], [data-profile-summary]')) {
+        wirePage();
+      }
+    });
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  }
+})();
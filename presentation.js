@@ -0,0 +1,424 @@
+/**
+ * ==========================================
+ * PRÄSENTATIONSMODUS
+ * ==========================================
+ * Zeigt eine Themenseite im Unterricht am Beamer: Vollbild, große
+ * Schrift, immer nur ein Abschnitt oder eine Karte. navigation.js lädt
+ * die Datei erst bei Bedarf nach (Taste F, in der Lehrkraft-Ansicht auch
+ * per Button) – sie funktioniert deshalb auf Tab-Seiten (script.js) wie
+ * auf Scroll-Seiten (baseScript.js, data-nav="scroll").
+ *
+ * Folien: Fließtext eines Abschnitts bildet eine Folie, Kästen
+ * (.task-box, .concept-box, .example-box …) und die Karten eines Rasters
+ * (.info-grid, .strategy-grid …) je eine eigene – jeweils mit der
+ * Überschrift des Abschnitts. data-slides="section" am Abschnitt hält
+ * ihn auf einer Folie zusammen. Hinweise für Lehrkräfte
+ * (data-teacher-note) werden nicht gezeigt.
+ *
+ * Schrittweise: Listenpunkte und Lösungen erscheinen nacheinander;
+ * data-steps="off" an einer Liste oder einem Abschnitt zeigt alles sofort.
+ *
+ * Tasten (auch Presenter/Clicker):
+ *   → Leertaste Bild↓ Enter   nächster Schritt bzw. nächste Folie
+ *   ← Bild↑ Rücktaste         zurück
+ *   Pos1 / Ende               erste / letzte Folie
+ *   Z Zeiger   M Marker   C Markierungen löschen   B Schwarzbild
+ *   Esc                       beenden
+ */
+
+'use strict';
+
+const PRESENTATION_SELECTORS = {
+    box: '.task-box, .concept-box, .example-box, .code-example, .ide-container, .card, .exercise-box',
+    grid: '.info-grid, .strategy-grid, .exercise-grid, .card-grid',
+    skip: '.chapter-header, .workload-estimate, .workload-total, script, style, [data-teacher-note]',
+    title: '.chapter-header h1, .chapter-header h2, h1, h2',
+    step: 'ul > li, ol > li, .solution-box, details',
+    noSteps: '[data-steps="off"], [data-sortable], [data-order], nav'
+};
+
+class Presentation {
+    /**
+     * Starts (or returns) the presentation for a navigation instance
+     */
+    static start(nav) {
+        if (!Presentation.current) {
+            const presentation = new Presentation(nav);
+            if (presentation.slides.length > 0) Presentation.current = presentation;
+        }
+        return Presentation.current;
+    }
+
+    constructor(nav) {
+        this.nav = nav;
+        this.slides = this.buildSlides();
+        this.index = 0;
+        this.moved = [];
+        this.steps = [];
+        this.step = 0;
+        this.tool = null;
+
+        if (this.slides.length === 0) return;
+
+        this.onKey = (e) => this.handleKey(e);
+        this.onResize = () => this.resize();
+        this.onFullscreen = () => {
+            if (!document.fullscreenElement && this.fullscreen) this.stop();
+        };
+
+        this.render();
+        const first = this.slides.findIndex(slide => slide.section.id === nav.current);
+        this.show(Math.max(first, 0));
+    }
+
+    // ==========================================
+    // SLIDES
+    // ==========================================
+
+    buildSlides() {
+        const slides = [];
+        this.nav.sections.forEach(section => {
+            const element = section.element;
+            const title = element.querySelector(PRESENTATION_SELECTORS.title);
+            const base = { section, title: title ? title.textContent.trim() : section.id };
+            const blocks = Array.from(element.children).filter(child => !child.matches(PRESENTATION_SELECTORS.skip));
+
+            if (element.dataset.slides === 'section') {
+                slides.push({ ...base, nodes: blocks });
+                return;
+            }
+
+            let text = [];
+            const flush = () => {
+                if (text.length > 0) slides.push({ ...base, nodes: text });
+                text = [];
+            };
+            blocks.forEach(block => {
+                if (block.matches(PRESENTATION_SELECTORS.grid)) {
+                    flush();
+                    Array.from(block.children).forEach(card => slides.push({ ...base, nodes: [card] }));
+                } else if (block.matches(PRESENTATION_SELECTORS.box)) {
+                    flush();
+                    slides.push({ ...base, nodes: [block] });
+                } else {
+                    text.push(block);
+                }
+            });
+            flush();
+
+            // A section with nothing but its header still gets a title slide
+            if (!slides.some(slide => slide.section === section)) {
+                slides.push({ ...base, nodes: [] });
+            }
+        });
+        return slides;
+    }
+
+    render() {
+        injectPresentationStyle();
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'presentation';
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-label', 'Präsentation');
+        this.overlay.innerHTML =
+            '<div class="presentation-slide"><div class="presentation-content">' +
+            '<h1 class="presentation-title"></h1><div class="presentation-body"></div></div></div>' +
+            '<canvas class="presentation-canvas"></canvas>' +
+            '<div class="presentation-pointer" hidden></div>' +
+            '<div class="presentation-black" hidden></div>' +
+            '<div class="presentation-bar">' +
+            '<button type="button" data-action="previous" title="Zurück (←)">◀</button>' +
+            '<span class="presentation-counter"></span>' +
+            '<button type="button" data-action="next" title="Weiter (→)">▶</button>' +
+            '<button type="button" data-action="pointer" title="Zeiger (Z)">🔴</button>' +
+            '<button type="button" data-action="marker" title="Marker (M)">🖍️</button>' +
+            '<button type="button" data-action="black" title="Schwarzbild (B)">⬛</button>' +
+            '<button type="button" data-action="stop" title="Beenden (Esc)">✕</button>' +
+            '</div>';
+
+        this.slideElement = this.overlay.querySelector('.presentation-slide');
+        this.title = this.overlay.querySelector('.presentation-title');
+        this.body = this.overlay.querySelector('.presentation-body');
+        this.counter = this.overlay.querySelector('.presentation-counter');
+        this.canvas = this.overlay.querySelector('.presentation-canvas');
+        this.pointer = this.overlay.querySelector('.presentation-pointer');
+        this.black = this.overlay.querySelector('.presentation-black');
+
+        this.overlay.querySelector('.presentation-bar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this.runAction(button.dataset.action);
+        });
+        this.black.addEventListener('click', () => { this.black.hidden = true; });
+        this.bindDrawing();
+
+        document.body.appendChild(this.overlay);
+        document.body.style.overflow = 'hidden';
+        // After the page's own handlers (sortable lists, exercises)
+        document.addEventListener('keydown', this.onKey);
+        this.nav.presenting = true;
+        window.addEventListener('resize', this.onResize);
+        document.addEventListener('fullscreenchange', this.onFullscreen);
+
+        if (this.overlay.requestFullscreen) {
+            this.overlay.requestFullscreen()
+                .then(() => { this.fullscreen = true; })
+                .catch(() => { /* not allowed: the overlay still covers the window */ });
+        }
+        this.resize();
+    }
+
+    /**
+     * Moves the nodes of a slide into the overlay (so exercises and
+     * IDEs keep working) and puts the previous ones back
+     */
+    show(index, revealAll = false) {
+        this.restore();
+        this.index = index;
+        const slide = this.slides[index];
+
+        this.title.textContent = slide.title;
+        slide.nodes.forEach(node => {
+            const marker = document.createComment('presentation');
+            node.before(marker);
+            this.moved.push({ marker, node });
+            this.body.appendChild(node);
+        });
+
+        this.steps = this.collectSteps(slide);
+        this.step = revealAll ? this.steps.length : 0;
+        this.updateSteps();
+
+        this.counter.textContent = `${index + 1} / ${this.slides.length}`;
+        this.slideElement.scrollTop = 0;
+        this.clearDrawing();
+
+        if (slide.section.id !== this.nav.current) {
+            this.nav.goTo(slide.section.id, { source: 'presentation', updateHash: false, scroll: false });
+        }
+    }
+
+    restore() {
+        // Solutions and <details> go back to how the page had them
+        this.steps.forEach(step => {
+            const element = step.element;
+            element.classList.remove('presentation-pending');
+            if (element.matches('.solution-box')) element.classList.toggle('hidden', step.hidden);
+            if (element.matches('details')) element.open = step.open;
+        });
+        this.moved.forEach(({ marker, node }) => marker.replaceWith(node));
+        this.moved = [];
+        this.steps = [];
+    }
+
+    // ==========================================
+    // STEPS
+    // ==========================================
+
+    collectSteps(slide) {
+        if (slide.section.element.dataset.steps === 'off') return [];
+
+        return Array.from(this.body.querySelectorAll(PRESENTATION_SELECTORS.step))
+            .filter(element => {
+                // Locked solutions (data-lock) only open through their unlock dialog
+                if (element.dataset.lock && (!window.solutionLock || window.solutionLock.isLocked(element))) return false;
+                if (element.matches('li')) {
+                    // Top-level items of ordinary lists only
+                    return !element.parentElement.closest(`li, .solution-box, details, ${PRESENTATION_SELECTORS.noSteps}`);
+                }
+                return !element.parentElement.closest(`.solution-box, details, ${PRESENTATION_SELECTORS.noSteps}`);
+            })
+            .map(element => ({
+                element,
+                hidden: element.classList.contains('hidden'),
+                open: element.open
+            }));
+    }
+
+    setStep(step, visible) {
+        const element = step.element;
+        if (element.matches('.solution-box')) {
+            element.classList.toggle('hidden', !visible);
+        } else if (element.matches('details')) {
+            element.open = visible;
+        } else {
+            element.classList.toggle('presentation-pending', !visible);
+        }
+    }
+
+    updateSteps() {
+        this.steps.forEach((step, i) => this.setStep(step, i < this.step));
+    }
+
+    next() {
+        if (this.step < this.steps.length) {
+            this.step++;
+            this.updateSteps();
+            this.steps[this.step - 1].element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        } else if (this.index < this.slides.length - 1) {
+            this.show(this.index + 1);
+        }
+    }
+
+    previous() {
+        if (this.step > 0) {
+            this.step--;
+            this.updateSteps();
+        } else if (this.index > 0) {
+            this.show(this.index - 1, true);
+        }
+    }
+
+    // ==========================================
+    // CONTROLS
+    // ==========================================
+
+    handleKey(e) {
+        if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+        // Typing into an exercise or IDE on the slide
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+        // Enter and Space keep working on focused buttons and links
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.closest && e.target.closest('button, a, summary')) return;
+
+        const actions = {
+            ArrowRight: 'next', ArrowDown: 'next', PageDown: 'next', Enter: 'next', ' ': 'next',
+            ArrowLeft: 'previous', ArrowUp: 'previous', PageUp: 'previous', Backspace: 'previous',
+            Home: 'first', End: 'last',
+            z: 'pointer', m: 'marker', c: 'clear', b: 'black', '.': 'black',
+            Escape: 'stop'
+        };
+        const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+        if (!action) return;
+        e.preventDefault();
+        this.runAction(action);
+    }
+
+    runAction(action) {
+        switch (action) {
+            case 'next': this.next(); break;
+            case 'previous': this.previous(); break;
+            case 'first': this.show(0); break;
+            case 'last': this.show(this.slides.length - 1, true); break;
+            case 'pointer': this.setTool(this.tool === 'pointer' ? null : 'pointer'); break;
+            case 'marker': this.setTool(this.tool === 'marker' ? null : 'marker'); break;
+            case 'clear': this.clearDrawing(); break;
+            case 'black': this.black.hidden = !this.black.hidden; break;
+            case 'stop': this.stop(); break;
+        }
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.overlay.classList.toggle('presentation-pointing', tool === 'pointer');
+        this.overlay.classList.toggle('presentation-marking', tool === 'marker');
+        this.pointer.hidden = tool !== 'pointer';
+        this.overlay.querySelectorAll('[data-action="pointer"], [data-action="marker"]').forEach(button => {
+            button.classList.toggle('active', button.dataset.action === tool);
+        });
+    }
+
+    bindDrawing() {
+        const context = this.canvas.getContext('2d');
+        let drawing = false;
+
+        this.overlay.addEventListener('pointermove', (e) => {
+            if (this.tool === 'pointer') {
+                this.pointer.style.transform = `translate(${e.clientX}px, ${e.clientY}px)`;
+            }
+            if (this.tool === 'marker' && drawing) {
+                context.lineTo(e.clientX, e.clientY);
+                context.stroke();
+            }
+        });
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.tool !== 'marker') return;
+            drawing = true;
+            context.strokeStyle = 'rgba(250, 204, 21, 0.45)';
+            context.lineWidth = 18;
+            context.lineCap = 'round';
+            context.lineJoin = 'round';
+            context.beginPath();
+            context.moveTo(e.clientX, e.clientY);
+        });
+        window.addEventListener('pointerup', () => { drawing = false; });
+    }
+
+    clearDrawing() {
+        this.canvas.getContext('2d').clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    /**
+     * Canvas in CSS pixels; the slide is zoomed with the projector width
+     */
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = window.innerWidth * ratio;
+        this.canvas.height = window.innerHeight * ratio;
+        this.canvas.getContext('2d').setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.overlay.style.setProperty('--presentation-zoom', Math.min(Math.max(window.innerWidth / 1000, 1), 2.2));
+    }
+
+    stop() {
+        const slide = this.slides[this.index];
+        this.restore();
+
+        document.removeEventListener('keydown', this.onKey);
+        this.nav.presenting = false;
+        window.removeEventListener('resize', this.onResize);
+        document.removeEventListener('fullscreenchange', this.onFullscreen);
+        this.fullscreen = false;
+        if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        this.overlay.remove();
+        document.body.style.overflow = '';
+        Presentation.current = null;
+
+        // Back on the page where the presentation stopped
+        this.nav.goTo(slide.section.id, { source: 'presentation' });
+    }
+}
+
+Presentation.current = null;
+
+let presentationStyle = null;
+
+function injectPresentationStyle() {
+    if (presentationStyle) return;
+
+    presentationStyle = document.createElement('style');
+    presentationStyle.textContent =
+        '.presentation{position:fixed;inset:0;z-index:99996;background:#fff;color:#1e293b;}' +
+        '.presentation-slide{position:absolute;inset:0 0 3.5rem;overflow-y:auto;padding:2.5vh 4vw;}' +
+        '.presentation-content{zoom:var(--presentation-zoom,1);}' +
+        '.presentation-title{max-width:1000px;margin:0 auto 1.5rem;font-size:2.2rem;' +
+        'border-bottom:4px solid #3b82f6;padding-bottom:.4rem;}' +
+        '.presentation-body{max-width:1000px;margin:0 auto;font-size:1.2rem;}' +
+        '.presentation-body > *{margin-bottom:1.5rem;}' +
+        '.presentation .presentation-pending{visibility:hidden;}' +
+        '.presentation-canvas{position:absolute;inset:0;width:100%;height:100%;pointer-events:none;}' +
+        '.presentation-marking .presentation-canvas{pointer-events:auto;cursor:crosshair;}' +
+        '.presentation-pointing{cursor:none;}' +
+        '.presentation-pointer{position:fixed;top:-9px;left:-9px;width:18px;height:18px;' +
+        'border-radius:50%;background:rgba(239,68,68,.85);box-shadow:0 0 12px 4px rgba(239,68,68,.6);' +
+        'pointer-events:none;z-index:2;}' +
+        '.presentation-black{position:absolute;inset:0;background:#000;z-index:3;}' +
+        '.presentation-bar{position:absolute;left:0;right:0;bottom:0;height:3.5rem;display:flex;' +
+        'align-items:center;justify-content:center;gap:.5rem;opacity:.35;transition:opacity .2s ease;' +
+        'font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;z-index:1;}' +
+        '.presentation-bar:hover,.presentation-bar:focus-within{opacity:1;}' +
+        '.presentation-bar button{border:1px solid #cbd5e1;border-radius:8px;background:#fff;' +
+        'padding:.35rem .7rem;font:inherit;cursor:pointer;}' +
+        '.presentation-bar button.active{background:#fde68a;}' +
+        '.presentation-counter{min-width:5em;text-align:center;font-variant-numeric:tabular-nums;}' +
+        'html.dark-mode .presentation{background:#0f172a;color:#f1f5f9;}' +
+        'html.dark-mode .presentation-bar button{background:#1e293b;color:#f1f5f9;border-color:#334155;}';
+    document.head.appendChild(presentationStyle);
+}
+
+window.EduPresentation = Presentation;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Presentation };
+}
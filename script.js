@@ -17,8 +17,8 @@ const CONFIG = {
     enableHashNavigation: true,
     enableKeyboardNavigation: true,
     
-    // Progress Tracking
-    enableProgressTracking: false,
+    // Progress Tracking (pro Seitenpfad in localStorage)
+    enableProgressTracking: true,
     progressStorageKey: 'site_progress',
     progressTimestampKey: 'site_progress_timestamp',
     progressExpiryDays: 7,
@@ -33,21 +33,42 @@ const CONFIG = {
     tabletBreakpoint: 768,
     
     // Features
-    enableAnalytics: false,
-    enableServiceWorker: false,
-    enableDarkMode: false,
+    enableAnalytics: true, // Lernstatistik – bleibt ausschließlich im Browser
+    statsStorageKey: 'site_learning_stats',
+    enableServiceWorker: true,
+    enableDarkMode: true,
+    certificateScriptUrl: 'https://edu-mrh.de/certificate.js', // Teilnahmebestätigung (zertifikat.html)
+    enableSearch: true, // Suchfeld in der Navbar (search.js)
+    searchScriptUrl: 'https://edu-mrh.de/search.js',
+    navigationScriptUrl: 'https://edu-mrh.de/navigation.js', // falls die Seite navigation.js nicht selbst lädt
+    controlsScriptUrl: 'https://edu-mrh.de/controls.js', // Menü „Darstellung“ (Barrierefreiheit)
+    solutionLockScriptUrl: 'https://edu-mrh.de/solution-lock.js', // Lösungssperren (data-lock)
+    exercisesScriptUrl: 'https://edu-mrh.de/exercises.js', // Selbstkontrolle und Sortierlisten
+    accessibilityStorageKey: 'eduAccessibility', // gemeinsam mit controls.js
+    teacherModeParam: 'lehrkraft', // ?lehrkraft=1 schaltet die Lehrkraft-Ansicht ein
+    teacherModeKey: 'site_teacher_mode',
+    enableWorksheetExport: true, // Arbeitsblatt und Lösungsblatt zum Drucken
+    enableWorkloadEstimate: true, // Lesezeit und Aufwand je Abschnitt
+    workload: {
+        wordsPerMinute: 150,
+        taskMinutes: 5,
+        ideMinutes: 10,
+        videoMinutes: 5,
+        lessonMinutes: 90,
+        selectors: {
+            task: '.task-box, .exercise-card, .exercise-box',
+            ide: '.java-online, iframe[srcdoc*="includeIDE"], iframe[src*="IDE-embedded"]',
+            video: 'video, iframe[src*="youtube"], iframe[src*="youtu.be"], iframe[src*="vimeo"]'
+        }
+    },
     
     // Selectors
+    // (Sidebar, Mobile-Menü und Abschnitte: siehe navigation.js)
     selectors: {
         navbar: '.navbar',
-        sidebar: '.sidebar',
         mainContent: '.main-content',
-        contentSection: '.content-section',
         sidebarMenu: '.sidebar-menu',
         sidebarLink: '.sidebar-menu a',
-        progressBar: '#progressBar',
-        mobileMenuBtn: '#mobileMenuBtn',
-        sidebarToggle: '#sidebarToggle',
         modal: '.modal',
         modalClose: '.modal-close'
     }
@@ -59,11 +80,9 @@ const CONFIG = {
 const STATE = {
     currentSection: CONFIG.defaultSection,
     sections: [],
-    isMobile: false,
-    isTablet: false,
-    sidebarOpen: false,
     initialized: false,
-    scrollPosition: 0
+    scrollPosition: 0,
+    progress: null
 };
 
 // ==========================================
@@ -71,6 +90,7 @@ const STATE = {
 // ==========================================
 class SiteManager {
     constructor() {
+        this.nav = null;
         this.init();
     }
 
@@ -89,19 +109,11 @@ class SiteManager {
         console.log('🚀 Initializing Site Manager...');
         
         // Initialize modules
-        this.detectDevice();
-        this.collectSections();
-        this.setupNavigation();
-        this.setupSidebar();
-        this.setupMobileMenu();
-        this.setupProgressBar();
         this.setupModals();
-        //this.setupKeyboardNavigation();
         this.setupScrollEffects();
-        this.setupResizeHandler();
         
-        // Handle initial navigation
-        this.handleInitialNavigation();
+        // Sidebar, mobile menu and section switching come from navigation.js
+        loadNavigationCore(() => this.setupNavigation(), () => this.setupFallbackNavigation());
         
         // Mark as initialized
         STATE.initialized = true;
@@ -109,85 +121,96 @@ class SiteManager {
         console.log('✅ Site Manager initialized successfully');
     }
 
-    // Device Detection
-    detectDevice() {
-        STATE.isMobile = window.innerWidth <= CONFIG.mobileBreakpoint;
-        STATE.isTablet = window.innerWidth <= CONFIG.tabletBreakpoint && window.innerWidth > CONFIG.mobileBreakpoint;
-        
-        document.body.classList.toggle('is-mobile', STATE.isMobile);
-        document.body.classList.toggle('is-tablet', STATE.isTablet);
-    }
+    // Setup Navigation (shared core, tab mode unless the page sets data-nav)
+    setupNavigation() {
+        const plugins = ['progress', 'solutions'];
+        if (CONFIG.enableHashNavigation) plugins.push('hash');
+        if (CONFIG.enableKeyboardNavigation) plugins.push('keyboard');
+
+        registerSolutionHistory();
+        this.setupKeyboardNavigation();
+        this.nav = EduNavigation.attach({
+            mode: 'tabs',
+            defaultSection: CONFIG.defaultSection,
+            plugins,
+            scrollOffset: CONFIG.scrollOffset,
+            smoothScroll: CONFIG.enableSmoothScroll,
+            mobileBreakpoint: CONFIG.mobileBreakpoint,
+            tabletBreakpoint: CONFIG.tabletBreakpoint,
+            autoStart: false
+        });
 
-    // Collect all sections
-    collectSections() {
-        const sectionElements = document.querySelectorAll(CONFIG.selectors.contentSection);
-        STATE.sections = Array.from(sectionElements).map(el => el.id).filter(id => id);
-        
+        const alreadyStarted = this.nav.started;
+        STATE.sections = this.nav.getSectionIds();
         console.log(`📄 Found ${STATE.sections.length} sections:`, STATE.sections);
-    }
 
-    // Setup Navigation
-    setupNavigation() {
-    const sidebarLinks = document.querySelectorAll(`${CONFIG.selectors.sidebarLink}, .js-nav-link`);
-    
-    sidebarLinks.forEach(link => {
-        link.addEventListener('click', (e) => {
-            const href = link.getAttribute('href');
+        this.setupProgressTracking();
+        if (workloadEstimate) {
+            workloadEstimate.render(this.nav.sections, STATE.progress ? STATE.progress.completed : []);
+        }
+        document.addEventListener('navigation:change', (e) => this.handleSectionChange(e.detail.id));
 
-            if (href && !href.startsWith('#')) {
-                return;
-            }
+        // Returning student: resume at the last visited section (unless the URL names one)
+        this.nav.start(STATE.progress ? STATE.progress.lastSection : null);
+        if (alreadyStarted && this.nav.current) {
+            this.handleSectionChange(this.nav.current);
+        }
 
-            e.preventDefault();
-            
-            const section = link.getAttribute('data-section') || href?.substring(1);
-            if (section) {
-                this.navigateToSection(section);
-            }
-        });
-    });
-}
+        this.setupTaskLinks();
+    }
 
-    // Setup Sidebar
-    setupSidebar() {
-        const sidebarToggle = document.querySelector(CONFIG.selectors.sidebarToggle);
-        
-        if (sidebarToggle) {
-            sidebarToggle.addEventListener('click', () => {
-                this.closeSidebar();
-            });
-        }
+    /**
+     * navigation.js could not be loaded: plain section switching, so the
+     * page stays readable (no sidebar toggle, hash sync or shortcuts)
+     */
+    setupFallbackNavigation() {
+        const sections = Array.from(document.querySelectorAll('.content-section[id]'));
+        if (sections.length === 0) return;
+
+        const links = Array.from(document.querySelectorAll(`${CONFIG.selectors.sidebarLink}, [data-section]`));
+        const show = (id) => {
+            sections.forEach(section => section.classList.toggle('active', section.id === id));
+            links.forEach(link => link.classList.toggle('active', link.dataset.section === id));
+        };
 
-        // Close sidebar when clicking outside on mobile
-        document.addEventListener('click', (e) => {
-            if (!STATE.isMobile) return;
-            
-            const sidebar = document.querySelector(CONFIG.selectors.sidebar);
-            const mobileMenuBtn = document.querySelector(CONFIG.selectors.mobileMenuBtn);
-            
-            if (sidebar && 
-                !sidebar.contains(e.target) && 
-                mobileMenuBtn &&
-                !mobileMenuBtn.contains(e.target)) {
-                this.closeSidebar();
-            }
+        const fromHash = window.location.hash.slice(1).split('/')[0];
+        const active = sections.find(section => section.id === fromHash) ||
+            sections.find(section => section.classList.contains('active')) || sections[0];
+        show(active.id);
+
+        links.forEach(link => {
+            const id = link.dataset.section || (link.getAttribute('href') || '').replace(/^#/, '');
+            if (!sections.some(section => section.id === id)) return;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                show(id);
+                window.scrollTo(0, 0);
+            });
         });
     }
 
-    // Setup Mobile Menu
-    setupMobileMenu() {
-        const mobileMenuBtn = document.querySelector(CONFIG.selectors.mobileMenuBtn);
-        
-        if (mobileMenuBtn) {
-            mobileMenuBtn.addEventListener('click', () => {
-                this.toggleSidebar();
-            });
-        }
+    // "🔗" on every task copies its deep link (#abschnitt/aufgabe-N)
+    setupTaskLinks() {
+        if (!CONFIG.enableHashNavigation || STATE.sections.length === 0) return;
+
+        document.querySelectorAll(this.nav.config.selectors.task).forEach(task => {
+            if (task.querySelector('.task-link') || !this.nav.getDeepLink(task)) return;
+
+            const button = createElement('button', {
+                type: 'button',
+                className: 'task-link',
+                title: 'Link zu dieser Aufgabe kopieren',
+                'aria-label': 'Link zu dieser Aufgabe kopieren'
+            }, ['🔗']);
+            button.addEventListener('click', () => copyLink(this.nav.getDeepLink(task)));
+            task.appendChild(button);
+        });
     }
 
-    // Setup Progress Bar
-    setupProgressBar() {
-        this.updateProgressBar();
+    handleSectionChange(sectionId) {
+        STATE.currentSection = sectionId;
+        this.recordSectionVisit(sectionId);
+        this.trackSectionView(sectionId);
     }
 
     // Setup Modals
@@ -212,65 +235,31 @@ class SiteManager {
         });
     }
 
-    // Setup Keyboard Navigation
+    // Setup Keyboard Navigation (sections, sidebar, solutions, search and
+    // print are shortcuts of navigation.js; ? lists them)
     setupKeyboardNavigation() {
         if (!CONFIG.enableKeyboardNavigation) return;
 
-        document.addEventListener('keydown', (e) => {
-            // Escape key - close modals and sidebar
-            if (e.key === 'Escape') {
-                this.closeAllModals();
-                this.closeSidebar();
-            }
-
-            // Arrow keys - navigate sections
-            if (e.key === 'ArrowRight') {
-                this.navigateNext();
-            } else if (e.key === 'ArrowLeft') {
-                this.navigatePrevious();
-            }
+        // Listed under "Menü bzw. Fenster schließen"
+        EduNavigation.registerShortcut({
+            keys: ['Escape'],
+            run: () => this.closeAllModals()
         });
     }
 
-    // Setup Scroll Effects
+    // Setup Scroll Effects (navbar hiding lives in navigation.js)
     setupScrollEffects() {
-        let lastScrollTop = 0;
-        let ticking = false;
-
         window.addEventListener('scroll', () => {
             STATE.scrollPosition = window.pageYOffset || document.documentElement.scrollTop;
-
-            if (!ticking) {
-                window.requestAnimationFrame(() => {
-                    this.handleScroll(lastScrollTop);
-                    lastScrollTop = STATE.scrollPosition;
-                    ticking = false;
-                });
-                ticking = true;
-            }
         });
 
         // Animate elements on scroll
         this.setupScrollAnimations();
     }
 
-    handleScroll(lastScrollTop) {
-        const navbar = document.querySelector(CONFIG.selectors.navbar);
-        
-        if (navbar) {
-            // Add scrolled class
-            navbar.classList.toggle('scrolled', STATE.scrollPosition > 50);
-
-            // Hide/show navbar on scroll (optional)
-            if (STATE.scrollPosition > lastScrollTop && STATE.scrollPosition > 100) {
-                navbar.style.transform = 'translateY(-100%)';
-            } else {
-                navbar.style.transform = 'translateY(0)';
-            }
-        }
-    }
-
     setupScrollAnimations() {
+        if (prefersReducedMotion()) return;
+
         const observerOptions = {
             threshold: 0.1,
             rootMargin: '0px 0px -50px 0px'
@@ -296,30 +285,19 @@ class SiteManager {
             el.style.transition = `opacity ${CONFIG.animationDuration * 2}ms ease, transform ${CONFIG.animationDuration * 2}ms ease`;
             observer.observe(el);
         });
-    }
 
-    // Setup Resize Handler
-    setupResizeHandler() {
-        let resizeTimer;
-        
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimer);
-            resizeTimer = setTimeout(() => {
-                this.handleResize();
-            }, 250);
+        // Switched on later in the accessibility menu (controls.js)
+        document.addEventListener('accessibility:change', (e) => {
+            if (!e.detail.motion) return;
+            observer.disconnect();
+            animatedElements.forEach(el => {
+                el.style.opacity = '';
+                el.style.transform = '';
+                el.style.transition = '';
+            });
         });
     }
 
-    handleResize() {
-        const wasMobile = STATE.isMobile;
-        this.detectDevice();
-
-        // Close sidebar when switching from mobile to desktop
-        if (wasMobile && !STATE.isMobile) {
-            this.closeSidebar();
-        }
-    }
-
     setupFocusManagement() {
         // Trap focus in modals
         document.addEventListener('keydown', (e) => {
@@ -351,113 +329,166 @@ class SiteManager {
         });
     }
 
-    // Handle Initial Navigation
-    handleInitialNavigation() {
-        const hash = window.location.hash.substring(1);
-        
-        if (hash && STATE.sections.includes(hash)) {
-            STATE.currentSection = hash;
-        }
-        
-        this.showSection(STATE.currentSection);
-        this.updateSidebarActive(STATE.currentSection);
-        this.updateProgressBar();
-    }
-
     // ==========================================
     // NAVIGATION METHODS
     // ==========================================
     
     navigateToSection(sectionId) {
-        if (!STATE.sections.includes(sectionId)) {
-            console.warn(`Section "${sectionId}" not found`);
-            return;
-        }
+        if (!this.nav) return;
+        this.nav.goTo(sectionId);
+    }
 
-        // Update URL hash
-        if (CONFIG.enableHashNavigation) {
-            window.location.hash = sectionId;
-        }
+    navigateToSectionWithoutHash(sectionId) {
+        if (!this.nav) return;
+        this.nav.goTo(sectionId, { updateHash: false });
+    }
 
-        // Navigate
-        this.navigateToSectionWithoutHash(sectionId);
+    navigateNext() {
+        if (this.nav) this.nav.next();
     }
 
-    navigateToSectionWithoutHash(sectionId) {
-        if (!STATE.sections.includes(sectionId)) return;
+    navigatePrevious() {
+        if (this.nav) this.nav.previous();
+    }
 
-        STATE.currentSection = sectionId;
-        
-        this.showSection(sectionId);
-        this.updateSidebarActive(sectionId);
-        this.updateProgressBar();
+    // ==========================================
+    // PROGRESS TRACKING
+    // ==========================================
 
-        // Scroll to top
-        if (CONFIG.enableSmoothScroll) {
-            window.scrollTo({ top: 0, behavior: 'smooth' });
-        } else {
-            window.scrollTo(0, 0);
-        }
+    setupProgressTracking() {
+        if (!CONFIG.enableProgressTracking || STATE.sections.length === 0) return;
 
-        // Close sidebar on mobile
-        if (STATE.isMobile) {
-            this.closeSidebar();
-        }
+        STATE.progress = this.loadProgress();
+        this.updateSidebarCompleted();
 
-        // Track section view
-        this.trackSectionView(sectionId);
+        // A section counts as completed once its end has been scrolled into view
+        window.addEventListener('scroll', throttle(() => this.checkSectionCompleted(), 250));
     }
 
-    showSection(sectionId) {
-        // Hide all sections
-        document.querySelectorAll(CONFIG.selectors.contentSection).forEach(section => {
-            section.classList.remove('active');
-        });
+    getProgressKey() {
+        return window.location.pathname;
+    }
 
-        // Show target section
-        const targetSection = document.getElementById(sectionId);
-        if (targetSection) {
-            targetSection.classList.add('active');
+    readProgressStore() {
+        try {
+            return {
+                pages: JSON.parse(localStorage.getItem(CONFIG.progressStorageKey)) || {},
+                timestamps: JSON.parse(localStorage.getItem(CONFIG.progressTimestampKey)) || {}
+            };
+        } catch (e) {
+            // Private mode or corrupted data
+            return { pages: {}, timestamps: {} };
         }
     }
 
-    updateSidebarActive(sectionId) {
-        document.querySelectorAll(CONFIG.selectors.sidebarLink).forEach(link => {
-            link.classList.remove('active');
-            
-            const linkSection = link.getAttribute('data-section') || link.getAttribute('href')?.substring(1);
-            if (linkSection === sectionId) {
-                link.classList.add('active');
+    writeProgressStore(store) {
+        try {
+            localStorage.setItem(CONFIG.progressStorageKey, JSON.stringify(store.pages));
+            localStorage.setItem(CONFIG.progressTimestampKey, JSON.stringify(store.timestamps));
+        } catch (e) {
+            console.warn('Fortschritt konnte nicht gespeichert werden:', e);
+        }
+    }
+
+    loadProgress() {
+        const store = this.readProgressStore();
+        const maxAge = CONFIG.progressExpiryDays * 864e5;
+        let pruned = false;
+
+        // Drop expired pages
+        Object.keys(store.pages).forEach(path => {
+            if (!store.timestamps[path] || Date.now() - store.timestamps[path] > maxAge) {
+                delete store.pages[path];
+                delete store.timestamps[path];
+                pruned = true;
             }
         });
+        if (pruned) this.writeProgressStore(store);
+
+        const entry = store.pages[this.getProgressKey()] || {};
+        return {
+            visited: (entry.visited || []).filter(id => STATE.sections.includes(id)),
+            completed: (entry.completed || []).filter(id => STATE.sections.includes(id)),
+            lastSection: entry.lastSection || null
+        };
     }
 
-    navigateNext() {
-        const currentIndex = STATE.sections.indexOf(STATE.currentSection);
-        if (currentIndex < STATE.sections.length - 1) {
-            this.navigateToSection(STATE.sections[currentIndex + 1]);
+    saveProgress() {
+        if (!STATE.progress) return;
+
+        const store = this.readProgressStore();
+        const key = this.getProgressKey();
+        store.pages[key] = STATE.progress;
+        store.timestamps[key] = Date.now();
+        this.writeProgressStore(store);
+    }
+
+    recordSectionVisit(sectionId) {
+        if (!STATE.progress || !STATE.sections.includes(sectionId)) return;
+
+        if (!STATE.progress.visited.includes(sectionId)) {
+            STATE.progress.visited.push(sectionId);
         }
+        STATE.progress.lastSection = sectionId;
+        this.saveProgress();
+
+        // Short sections fit on one screen and never fire a scroll event
+        setTimeout(() => this.checkSectionCompleted(), CONFIG.animationDuration * 2);
     }
 
-    navigatePrevious() {
-        const currentIndex = STATE.sections.indexOf(STATE.currentSection);
-        if (currentIndex > 0) {
-            this.navigateToSection(STATE.sections[currentIndex - 1]);
+    checkSectionCompleted() {
+        if (!STATE.progress || STATE.progress.completed.includes(STATE.currentSection)) return;
+
+        const section = document.getElementById(STATE.currentSection);
+        if (!section) return;
+
+        if (section.getBoundingClientRect().bottom <= window.innerHeight) {
+            this.markSectionCompleted(STATE.currentSection);
         }
     }
 
-    // ==========================================
-    // PROGRESS BAR
-    // ==========================================
+    markSectionCompleted(sectionId) {
+        if (!STATE.progress || !STATE.sections.includes(sectionId)) return;
+        if (STATE.progress.completed.includes(sectionId)) return;
+
+        STATE.progress.completed.push(sectionId);
+        this.saveProgress();
+        this.updateSidebarCompleted();
+        if (workloadEstimate) workloadEstimate.update(STATE.progress.completed);
+    }
 
-    updateProgressBar() {
-        const progressBar = document.querySelector(CONFIG.selectors.progressBar);
-        if (!progressBar) return;
+    updateSidebarCompleted() {
+        if (!STATE.progress) return;
 
-        const currentIndex = STATE.sections.indexOf(STATE.currentSection);
-        const progress = ((currentIndex + 1) / STATE.sections.length) * 100;
-        
-        progressBar.style.width = `${progress}%`;
+        document.querySelectorAll(CONFIG.selectors.sidebarLink).forEach(link => {
+            const linkSection = link.getAttribute('data-section') || link.getAttribute('href')?.substring(1);
+            const done = STATE.progress.completed.includes(linkSection);
+            link.classList.toggle('completed', done);
+
+            // The checkmark is CSS only; screen readers get the status as
+            // hidden text (an authored title stays untouched)
+            let status = link.querySelector('.nav-status');
+            if (done && !status) {
+                status = createElement('span', { className: 'nav-status sr-only' }, [' (abgeschlossen)']);
+                link.appendChild(status);
+            } else if (!done && status) {
+                status.remove();
+            }
+        });
+    }
+
+    resetProgress() {
+        const store = this.readProgressStore();
+        const key = this.getProgressKey();
+        delete store.pages[key];
+        delete store.timestamps[key];
+        this.writeProgressStore(store);
+
+        if (STATE.progress) {
+            STATE.progress = { visited: [], completed: [], lastSection: null };
+            this.updateSidebarCompleted();
+            if (workloadEstimate) workloadEstimate.update([]);
+        }
     }
 
     // ==========================================
@@ -465,46 +496,15 @@ class SiteManager {
     // ==========================================
 
     toggleSidebar() {
-        const sidebar = document.querySelector(CONFIG.selectors.sidebar);
-        const mobileMenuBtn = document.querySelector(CONFIG.selectors.mobileMenuBtn);
-        
-        if (sidebar) {
-            STATE.sidebarOpen = !STATE.sidebarOpen;
-            sidebar.classList.toggle('active');
-            sidebar.classList.toggle('open');
-        }
-        
-        if (mobileMenuBtn) {
-            mobileMenuBtn.classList.toggle('active');
-        }
+        if (this.nav) this.nav.toggleSidebar();
     }
 
     closeSidebar() {
-        const sidebar = document.querySelector(CONFIG.selectors.sidebar);
-        const mobileMenuBtn = document.querySelector(CONFIG.selectors.mobileMenuBtn);
-        
-        if (sidebar) {
-            STATE.sidebarOpen = false;
-            sidebar.classList.remove('active', 'open');
-        }
-        
-        if (mobileMenuBtn) {
-            mobileMenuBtn.classList.remove('active');
-        }
+        if (this.nav) this.nav.closeSidebar();
     }
 
     openSidebar() {
-        const sidebar = document.querySelector(CONFIG.selectors.sidebar);
-        const mobileMenuBtn = document.querySelector(CONFIG.selectors.mobileMenuBtn);
-        
-        if (sidebar) {
-            STATE.sidebarOpen = true;
-            sidebar.classList.add('active', 'open');
-        }
-        
-        if (mobileMenuBtn) {
-            mobileMenuBtn.classList.add('active');
-        }
+        if (this.nav) this.nav.openSidebar();
     }
 
     // ==========================================
@@ -570,12 +570,10 @@ class SiteManager {
     }
 
     trackSectionView(sectionId) {
-        if (!CONFIG.enableAnalytics) return;
-        
-        console.log('Section viewed:', sectionId);
-        
-        // Analytics tracking would go here
-        // Example: gtag('event', 'page_view', { page_path: `/${sectionId}` });
+        if (!CONFIG.enableAnalytics || !learningStats) return;
+
+        // Local counter only - no third-party tracking (DSGVO)
+        learningStats.recordView(sectionId);
     }
 
     // ==========================================
@@ -583,7 +581,8 @@ class SiteManager {
     // ==========================================
 
     getState() {
-        return { ...STATE };
+        const nav = this.nav || {};
+        return { ...STATE, isMobile: !!nav.isMobile, isTablet: !!nav.isTablet, sidebarOpen: !!nav.sidebarOpen };
     }
 
     getCurrentSection() {
@@ -593,6 +592,10 @@ class SiteManager {
     getAllSections() {
         return [...STATE.sections];
     }
+
+    getProgress() {
+        return STATE.progress ? deepClone(STATE.progress) : null;
+    }
 }
 
 // ==========================================
@@ -617,8 +620,22 @@ class SiteManager {
  */
 function toggleSolution(solutionId) {
     const solution = document.getElementById(solutionId);
-    if (solution) {
-        solution.classList.toggle('hidden');
+    if (!solution) return;
+
+    // Locked solutions (data-lock) open only after the unlock condition is
+    // met - and not at all while solution-lock.js is still loading
+    if (solution.classList.contains('hidden') && solution.dataset.lock && !solutionLock) return;
+    if (solution.classList.contains('hidden') && solutionLock && solutionLock.isLocked(solution)) {
+        solutionLock.requestUnlock(solution).then(unlocked => {
+            if (unlocked) toggleSolution(solutionId);
+        });
+        return;
+    }
+
+    solution.classList.toggle('hidden');
+
+    if (!solution.classList.contains('hidden') && learningStats) {
+        learningStats.recordSolutionReveal(solutionId);
     }
 }
 
@@ -662,11 +679,12 @@ function downloadCode(filename, code) {
 }
 
 /**
- * Show completion modal
+ * Show completion modal (with the form for the certificate)
  */
 function showCompletionModal() {
     const modal = document.getElementById('completionModal');
     if (modal) {
+        loadSharedScript(CONFIG.certificateScriptUrl, 'EduCertificate', () => addCertificateForm(modal));
         modal.classList.remove('hidden');
         createConfetti();
     }
@@ -729,11 +747,249 @@ function createConfetti() {
     }
 }
 
+// ==========================================
+// CERTIFICATES
+// ==========================================
+// URL, remembered name and data format live in certificate.js, shared
+// with courses that do not use this file
+/**
+ * Name field + button for the completion modal. Pages may place their own
+ * <input id="certificateName"> instead; then nothing is added.
+ */
+function addCertificateForm(modal) {
+    if (modal.querySelector('#certificateName')) return;
+
+    const form = createElement('div', { className: 'certificate-form' }, [
+        createElement('label', { for: 'certificateName' }, ['Dein Name für die Teilnahmebestätigung:']),
+        createElement('input', {
+            type: 'text',
+            id: 'certificateName',
+            autocomplete: 'name',
+            placeholder: 'Vorname Nachname'
+        }),
+        createElement('button', {
+            type: 'button',
+            className: 'btn btn-success',
+            onclick: 'printCertificate()'
+        }, ['📄 Teilnahmebestätigung erstellen'])
+    ]);
+    form.querySelector('input').value = EduCertificate.loadName();
+
+    const buttons = modal.querySelector('.modal-buttons');
+    if (buttons) {
+        buttons.parentNode.insertBefore(form, buttons);
+    } else {
+        (modal.querySelector('.modal-content') || modal).appendChild(form);
+    }
+}
+
+/**
+ * Title of an exercise or stage for the certificate
+ */
+function getCertificateItemTitle(el, fallback) {
+    const heading = el.querySelector('h2, h3, h4') ||
+        (el.closest('[data-stage]') && el.closest('[data-stage]').querySelector('h2, h3, h4'));
+    return heading ? heading.textContent.trim() : fallback;
+}
+
+/**
+ * Collects topic, completed sections and exercise scores of this page
+ */
+function collectCertificateData(name) {
+    const items = [];
+
+    const progress = STATE.progress;
+    STATE.sections.forEach(sectionId => {
+        const link = document.querySelector(`${CONFIG.selectors.sidebarLink}[href="#${CSS.escape(sectionId)}"]`);
+        items.push({
+            title: link ? getLinkLabel(link) : sectionId,
+            done: !!progress && progress.completed.includes(sectionId)
+        });
+    });
+
+    if (exerciseEngine) {
+        const results = exerciseEngine.getResults();
+        exerciseEngine.exercises.forEach((exercise, index) => {
+            const result = results[exercise.id] || {};
+            items.push({
+                title: getCertificateItemTitle(exercise, `Aufgabe ${index + 1}`),
+                done: !!result.solved,
+                score: result.score || 0,
+                maxScore: result.maxScore || 0
+            });
+        });
+    }
+
+    return EduCertificate.build(name, items);
+}
+
 /**
- * Print certificate or page
+ * Opens the printable certificate page (zertifikat.html). All data travels
+ * in the URL hash - nothing leaves the student's browser.
  */
 function printCertificate() {
-    window.print();
+    // Usually loaded with the completion modal already
+    loadSharedScript(CONFIG.certificateScriptUrl, 'EduCertificate', () => {
+        const input = document.getElementById('certificateName');
+        const name = (input ? input.value : window.prompt('Dein Name für die Teilnahmebestätigung:') || '').trim();
+
+        if (!name) {
+            showNotification('Bitte gib deinen Namen ein.', 'warning');
+            if (input) input.focus();
+            return;
+        }
+
+        EduCertificate.open(collectCertificateData(name));
+    });
+}
+
+/**
+ * True if animations should be skipped: system setting or the
+ * "Animationen reduzieren" choice from the accessibility menu (controls.js)
+ */
+function prefersReducedMotion() {
+    if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) return true;
+    try {
+        const prefs = JSON.parse(localStorage.getItem(CONFIG.accessibilityStorageKey));
+        return Boolean(prefs && prefs.motion);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Loads controls.js (accessibility menu) on pages that do not include it
+ */
+function loadAccessibilityControls() {
+    if (document.querySelector('script[src*="controls.js"]')) return;
+
+    document.head.appendChild(createElement('script', { src: CONFIG.controlsScriptUrl, defer: '' }));
+}
+
+/**
+ * Adds the portal-wide search (search.js) to the navbar of standard pages
+ */
+function loadSiteSearch() {
+    if (!CONFIG.enableSearch || window.EDU_SEARCH_LOADED) return;
+    if (!document.querySelector(`${CONFIG.selectors.navbar} .nav-links`)) return;
+
+    document.head.appendChild(createElement('script', { src: CONFIG.searchScriptUrl, defer: '' }));
+}
+
+/**
+ * Runs callback once a shared script (navigation.js, solution-lock.js,
+ * certificate.js) has defined window[globalName]. Pages may include the
+ * script themselves; otherwise it is fetched once and shared by all
+ * callers (baseScript.js and mobileMenu.js reuse the same tag).
+ * onError runs instead if the script cannot be loaded or does not define
+ * window[globalName]; the failure is logged once per script.
+ */
+function loadSharedScript(src, globalName, callback, onError = () => {}) {
+    if (window[globalName]) {
+        callback();
+        return;
+    }
+
+    let tag = document.querySelector(`script[data-shared-script="${globalName}"]`);
+    if (tag && tag.dataset.loadFailed !== undefined) {
+        onError();
+        return;
+    }
+    if (!tag) {
+        tag = createElement('script', { src, 'data-shared-script': globalName });
+        // First listener: marks the tag before any caller's onError runs
+        const fail = () => {
+            tag.dataset.loadFailed = '';
+            console.error(`❌ ${src} konnte nicht geladen werden – ${globalName} fehlt.`);
+        };
+        tag.addEventListener('error', fail);
+        tag.addEventListener('load', () => {
+            if (!window[globalName]) fail();
+        });
+        document.head.appendChild(tag);
+    }
+    tag.addEventListener('load', () => (window[globalName] ? callback() : onError()));
+    tag.addEventListener('error', () => onError());
+}
+
+function loadNavigationCore(callback, onError) {
+    loadSharedScript(CONFIG.navigationScriptUrl, 'EduNavigation', callback, onError);
+}
+
+/**
+ * Loads solution-lock.js on pages with locked solutions (data-lock)
+ */
+function loadSolutionLocks() {
+    if (!document.querySelector('[data-lock][id]')) return;
+
+    loadSharedScript(CONFIG.solutionLockScriptUrl, 'SolutionLock', () => {
+        solutionLock = new SolutionLock({
+            // The teacher view skips attempt and timer locks, never a code
+            isBypassed: solution => solution.dataset.lock !== 'code' && Boolean(teacherMode && teacherMode.active)
+        });
+        window.solutionLock = solutionLock;
+    });
+}
+
+/**
+ * Loads exercises.js on pages with self-check exercises or sortable lists;
+ * it starts itself, startExercises() returns the running engine
+ */
+function loadExercises() {
+    if (!document.querySelector('[data-exercise], [data-sortable], [data-order]')) return;
+
+    loadSharedScript(CONFIG.exercisesScriptUrl, 'ExerciseEngine', () => {
+        exerciseEngine = startExercises();
+        sortableLists = window.sortableLists;
+    });
+}
+
+/**
+ * Solution behind a teacher code (data-lock="code") that has not been
+ * unlocked in this browser yet; also true while solution-lock.js loads
+ */
+function isCodeLocked(solution) {
+    if (solution.dataset.lock !== 'code') return false;
+    return !solutionLock || solutionLock.isLocked(solution);
+}
+
+/**
+ * Copies a link; without clipboard access (http, old browsers) it is shown
+ * for manual copying
+ */
+function copyLink(url) {
+    const fallback = () => window.prompt('Link zum Kopieren:', url);
+    if (!navigator.clipboard) {
+        fallback();
+        return;
+    }
+    navigator.clipboard.writeText(url)
+        .then(() => showNotification('🔗 Link kopiert', 'success', 2000))
+        .catch(fallback);
+}
+
+/**
+ * History entries of navigation.js also remember which solutions were
+ * open, so "Zurück" returns to exactly the same view
+ */
+function registerSolutionHistory() {
+    EduNavigation.registerPlugin('solutions', () => ({
+        saveState: () => Array.from(document.querySelectorAll('.solution-box[id]:not(.hidden)')).map(el => el.id),
+        restoreState: (open) => {
+            document.querySelectorAll('.solution-box[id]').forEach(el => {
+                el.classList.toggle('hidden', !open.includes(el.id));
+            });
+        }
+    }));
+}
+
+/**
+ * Text of a sidebar link without added badges (workload estimate, status)
+ */
+function getLinkLabel(link) {
+    const copy = link.cloneNode(true);
+    copy.querySelectorAll('.nav-estimate, .nav-status').forEach(el => el.remove());
+    return copy.textContent.trim();
 }
 
 /**
@@ -846,11 +1102,20 @@ window.addEventListener('unhandledrejection', (e) => {
 // ==========================================
 // SERVICE WORKER (PWA Support)
 // ==========================================
-if (CONFIG.enableServiceWorker && 'serviceWorker' in navigator) {
+if (CONFIG.enableServiceWorker && 'serviceWorker' in navigator && location.protocol !== 'file:') {
     window.addEventListener('load', () => {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('✅ Service Worker registered:', registration);
+                return navigator.serviceWorker.ready;
+            })
+            .then(registration => {
+                if (registration.active) {
+                    registration.active.postMessage({
+                        type: 'CACHE_ASSETS',
+                        urls: collectOfflineAssets()
+                    });
+                }
             })
             .catch(error => {
                 console.log('❌ Service Worker registration failed:', error);
@@ -858,12 +1123,46 @@ if (CONFIG.enableServiceWorker && 'serviceWorker' in navigator) {
     });
 }
 
+/**
+ * Collect material of the current page (PDFs, images, databases)
+ * for offline use
+ */
+function collectOfflineAssets() {
+    const assetPattern = /\.(pdf|png|jpe?g|gif|svg|webp|sqlite|zip)$/i;
+    const urls = new Set();
+    // Malformed references (e.g. "http://" in a typo) are skipped
+    const resolve = ref => {
+        try {
+            return new URL(ref, location.href);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    document.querySelectorAll('a[href], img[src]').forEach(el => {
+        const url = resolve(el.getAttribute('href') || el.getAttribute('src'));
+        if (url && url.origin === location.origin && assetPattern.test(url.pathname)) {
+            urls.add(url.href);
+        }
+    });
+
+    // Databases are referenced inside the embedded SQL-IDE configuration
+    const databaseRefs = document.documentElement.innerHTML.match(/[\w:/.%-]+\.sqlite/g) || [];
+    databaseRefs.forEach(ref => {
+        const url = resolve(ref);
+        if (url && url.origin === location.origin) urls.add(url.href);
+    });
+
+    return [...urls];
+}
+
 // ==========================================
 // DARK MODE SUPPORT
 // ==========================================
 class DarkModeManager {
     constructor() {
         this.enabled = CONFIG.enableDarkMode;
+        this.storageKey = 'darkMode';
         if (this.enabled) {
             this.init();
         }
@@ -871,58 +1170,968 @@ class DarkModeManager {
 
     init() {
         // Check for saved preference or system preference
-        const savedMode = localStorage.getItem('darkMode');
+        const savedMode = this.getSavedMode();
         const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
 
         if (savedMode === 'true' || (!savedMode && prefersDark)) {
-            this.enable();
+            this.apply(true);
         }
 
         // Listen for system preference changes
         window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            if (!localStorage.getItem('darkMode')) {
-                e.matches ? this.enable() : this.disable();
+            if (!this.getSavedMode()) {
+                this.apply(e.matches);
             }
         });
+
+        this.injectToggle();
+    }
+
+    getSavedMode() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    saveMode(isDark) {
+        try {
+            localStorage.setItem(this.storageKey, String(isDark));
+        } catch (e) {
+            // Private mode: preference only lasts for this page view
+        }
+    }
+
+    isDark() {
+        return document.documentElement.classList.contains('dark-mode');
+    }
+
+    // Switch the theme without storing it (system preference)
+    apply(isDark) {
+        document.documentElement.classList.toggle('dark-mode', isDark);
+        this.updateToggle();
     }
 
     enable() {
-        document.documentElement.classList.add('dark-mode');
-        localStorage.setItem('darkMode', 'true');
+        this.apply(true);
+        this.saveMode(true);
     }
 
     disable() {
-        document.documentElement.classList.remove('dark-mode');
-        localStorage.setItem('darkMode', 'false');
+        this.apply(false);
+        this.saveMode(false);
     }
 
     toggle() {
-        if (document.documentElement.classList.contains('dark-mode')) {
+        if (this.isDark()) {
             this.disable();
         } else {
             this.enable();
         }
     }
+
+    // Standard layout: button next to "Übersicht" / "Impressum".
+    // Free pages without navbar get their toggle from controls.js.
+    injectToggle() {
+        const navLinks = document.querySelector(`${CONFIG.selectors.navbar} .nav-links`);
+        if (!navLinks || navLinks.querySelector('.dark-mode-toggle')) return;
+
+        this.toggleButton = createElement('button', {
+            type: 'button',
+            className: 'btn btn-outline dark-mode-toggle'
+        });
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        navLinks.appendChild(this.toggleButton);
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        if (!this.toggleButton) return;
+
+        const isDark = this.isDark();
+        this.toggleButton.textContent = isDark ? '☀️' : '🌙';
+        this.toggleButton.setAttribute('aria-pressed', String(isDark));
+        this.toggleButton.setAttribute('aria-label', isDark ? 'Helles Design' : 'Dunkles Design');
+        this.toggleButton.title = isDark ? 'Helles Design' : 'Dunkles Design';
+    }
 }
 
 // ==========================================
-// PRINT HANDLING
+// WORKLOAD ESTIMATE
 // ==========================================
-window.addEventListener('beforeprint', () => {
-    // Show all sections for printing
-    document.querySelectorAll('.content-section').forEach(section => {
-        section.style.display = 'block';
-    });
-});
+/**
+ * Estimated time per section: reading time (calculateReadingTime) plus
+ * fixed minutes per task, embedded IDE and video (CONFIG.workload).
+ * Shown under every chapter header and in the sidebar; the first section
+ * gets the total for the page and what is left after the completed
+ * sections – enough to tell whether a unit fits into a double lesson.
+ *
+ *   <section data-minutes="20">        own estimate instead of the calculation
+ *   <video data-minutes="7">           length of a video
+ *   <div data-workload-total></div>    total at another place of the page
+ */
+class WorkloadEstimate {
+    constructor() {
+        this.enabled = CONFIG.enableWorkloadEstimate;
+        this.sections = [];
+        this.completed = [];
+    }
+
+    /**
+     * Called by SiteManager once the sections are known
+     * (sections: [{ id, element }] from navigation.js)
+     */
+    render(sections, completed = []) {
+        if (!this.enabled || sections.length === 0) return;
+
+        this.sections = sections.map(section => ({
+            id: section.id,
+            element: section.element,
+            ...this.measure(section.element)
+        }));
+
+        this.sections.forEach(section => {
+            const estimate = createElement('p', { className: 'workload-estimate' }, [this.describe(section)]);
+            const header = section.element.querySelector('.chapter-header');
+            if (header) {
+                header.after(estimate);
+            } else {
+                section.element.prepend(estimate);
+            }
+            section.estimate = estimate;
+
+            document.querySelectorAll(CONFIG.selectors.sidebarLink).forEach(link => {
+                const linkSection = link.getAttribute('data-section') || link.getAttribute('href')?.substring(1);
+                if (linkSection !== section.id) return;
+                link.classList.add('has-estimate');
+                link.appendChild(createElement('span', {
+                    className: 'nav-estimate',
+                    title: this.describe(section)
+                }, [`${section.minutes} Min.`]));
+            });
+        });
 
-window.addEventListener('afterprint', () => {
-    // Restore original display
-    document.querySelectorAll('.content-section').forEach(section => {
-        if (!section.classList.contains('active')) {
-            section.style.display = 'none';
+        this.totals = Array.from(document.querySelectorAll('[data-workload-total]'));
+        if (this.totals.length === 0) {
+            const total = createElement('p', { className: 'workload-total' });
+            this.sections[0].estimate.after(total);
+            this.totals = [total];
         }
-    });
-});
+        this.totals.forEach(el => el.classList.add('workload-total'));
+
+        this.update(completed);
+    }
+
+    measure(element) {
+        const selectors = CONFIG.workload.selectors;
+
+        // Only what students read: no IDE source, no solutions, no own labels
+        const copy = element.cloneNode(true);
+        copy.querySelectorAll('iframe, script, style, .java-online, .solution-box, [data-teacher-note], .workload-estimate, .workload-total')
+            .forEach(el => el.remove());
+        const text = copy.textContent.trim();
+        const reading = text ? calculateReadingTime(text, CONFIG.workload.wordsPerMinute) : 0;
+
+        // Cards inside a task box are tasks of their own, the box is not
+        const tasks = Array.from(element.querySelectorAll(selectors.task))
+            .filter(task => !task.querySelector(selectors.task)).length;
+        const ides = element.querySelectorAll(selectors.ide).length;
+        const videos = Array.from(element.querySelectorAll(selectors.video));
+        const videoMinutes = videos.reduce((sum, video) =>
+            sum + (parseFloat(video.dataset.minutes) || CONFIG.workload.videoMinutes), 0);
+
+        const own = parseFloat(element.dataset.minutes);
+        const minutes = own > 0 ? own : Math.round(
+            reading + tasks * CONFIG.workload.taskMinutes + ides * CONFIG.workload.ideMinutes + videoMinutes
+        );
+
+        return { minutes, reading, tasks, ides, videos: videos.length };
+    }
+
+    describe(section) {
+        const parts = [`⏱️ ca. ${formatMinutes(section.minutes)}`];
+        if (section.tasks > 0) parts.push(`${section.tasks} ${section.tasks === 1 ? 'Aufgabe' : 'Aufgaben'}`);
+        if (section.ides > 0) parts.push(`${section.ides} ${section.ides === 1 ? 'IDE-Aufgabe' : 'IDE-Aufgaben'}`);
+        if (section.videos > 0) parts.push(`${section.videos} ${section.videos === 1 ? 'Video' : 'Videos'}`);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Marks completed sections and recalculates what is left
+     */
+    update(completed = []) {
+        if (this.sections.length === 0) return;
+        this.completed = completed;
+
+        const sum = (list, key) => list.reduce((total, section) => total + section[key], 0);
+        const total = sum(this.sections, 'minutes');
+        const open = this.sections.filter(section => !completed.includes(section.id));
+        const remaining = sum(open, 'minutes');
+
+        this.sections.forEach(section => {
+            const done = completed.includes(section.id);
+            section.estimate.classList.toggle('completed', done);
+            section.estimate.textContent = this.describe(section) + (done ? ' · ✓ erledigt' : '');
+        });
+
+        const lesson = CONFIG.workload.lessonMinutes;
+        const lessons = Math.ceil(total / lesson);
+        let text = `Gesamtaufwand: ca. ${formatMinutes(total)} · ` +
+            `${sum(this.sections, 'tasks')} Aufgaben · ` +
+            (lessons <= 1 ? `passt in eine Doppelstunde (${lesson} Min.)` : `ca. ${lessons} Doppelstunden à ${lesson} Min.`);
+        if (remaining < total) {
+            text += remaining > 0 ? ` – noch ca. ${formatMinutes(remaining)}` : ' – alles erledigt ✓';
+        }
+        this.totals.forEach(el => { el.textContent = text; });
+    }
+
+    getEstimate() {
+        return this.sections.map(({ id, minutes, reading, tasks, ides, videos }) =>
+            ({ id, minutes, reading, tasks, ides, videos, completed: this.completed.includes(id) }));
+    }
+}
+
+// ==========================================
+// LEARNING STATISTICS (local only)
+// ==========================================
+class LearningStats {
+    constructor() {
+        this.enabled = CONFIG.enableAnalytics;
+        this.pageKey = window.location.pathname;
+        this.maxInterval = 30 * 60 * 1000; // ignore idle time beyond 30 min
+        this.activeSection = null;
+        this.activeSince = null;
+        if (this.enabled) {
+            this.init();
+        }
+    }
+
+    init() {
+        // Pause the clock while the tab is in the background
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.flushTime();
+            } else if (this.activeSection) {
+                this.activeSince = Date.now();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flushTime());
+
+        // <details>-Lösungen aus der Themenseiten-Vorlage
+        document.querySelectorAll('.task-box details').forEach((details, index) => {
+            details.addEventListener('toggle', () => {
+                if (details.open) {
+                    this.recordSolutionReveal(details.id || `details-${index + 1}`);
+                }
+            });
+        });
+
+        this.injectPanelLink();
+    }
+
+    // ---- Storage ---------------------------------------------------
+
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.statsStorageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    writeAll(data) {
+        try {
+            localStorage.setItem(CONFIG.statsStorageKey, JSON.stringify(data));
+        } catch (e) {
+            console.warn('Lernstatistik konnte nicht gespeichert werden:', e);
+        }
+    }
+
+    updatePage(callback) {
+        const data = this.readAll();
+        const page = data[this.pageKey] || {
+            title: document.title,
+            firstVisit: new Date().toISOString(),
+            sections: {},
+            solutions: {}
+        };
+        callback(page);
+        page.lastVisit = new Date().toISOString();
+        data[this.pageKey] = page;
+        this.writeAll(data);
+    }
+
+    // ---- Recording -------------------------------------------------
+
+    recordView(sectionId) {
+        if (!this.enabled) return;
+
+        this.flushTime();
+        this.updatePage(page => {
+            const section = page.sections[sectionId] || { views: 0, seconds: 0 };
+            section.views++;
+            page.sections[sectionId] = section;
+        });
+        this.activeSection = sectionId;
+        this.activeSince = Date.now();
+    }
+
+    flushTime() {
+        if (!this.activeSection || !this.activeSince) return;
+
+        const elapsed = Math.min(Date.now() - this.activeSince, this.maxInterval);
+        const sectionId = this.activeSection;
+        this.activeSince = null;
+
+        this.updatePage(page => {
+            const section = page.sections[sectionId] || { views: 0, seconds: 0 };
+            section.seconds += Math.round(elapsed / 1000);
+            page.sections[sectionId] = section;
+        });
+    }
+
+    recordSolutionReveal(solutionId) {
+        // Solutions opened in the teacher view are no learning activity
+        if (!this.enabled || (teacherMode && teacherMode.active)) return;
+
+        this.updatePage(page => {
+            page.solutions[solutionId] = (page.solutions[solutionId] || 0) + 1;
+        });
+    }
+
+    // ---- Panel "Meine Lernstatistik" --------------------------------
+
+    injectPanelLink() {
+        const footer = document.querySelector('.footer .container');
+        if (!footer) return;
+
+        const link = createElement('button', {
+            type: 'button',
+            className: 'btn btn-sm btn-outline stats-link'
+        }, ['📊 Meine Lernstatistik']);
+        link.addEventListener('click', () => this.openPanel());
+        footer.appendChild(link);
+    }
+
+    getSectionTitle(sectionId) {
+        const link = document.querySelector(
+            `${CONFIG.selectors.sidebarLink}[data-section="${CSS.escape(sectionId)}"], ${CONFIG.selectors.sidebarLink}[href="#${CSS.escape(sectionId)}"]`
+        );
+        if (link) return getLinkLabel(link);
+
+        const heading = document.querySelector(`#${CSS.escape(sectionId)} h1, #${CSS.escape(sectionId)} h2`);
+        return heading ? heading.textContent.trim() : sectionId;
+    }
+
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds} s`;
+        const minutes = Math.round(seconds / 60);
+        return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    }
+
+    openPanel() {
+        this.flushTime();
+        if (this.activeSection) this.activeSince = Date.now();
+
+        const data = this.readAll();
+        const page = data[this.pageKey];
+        const pages = Object.values(data);
+        const totalSeconds = pages.reduce((sum, p) =>
+            sum + Object.values(p.sections).reduce((s, sec) => s + sec.seconds, 0), 0);
+        const totalReveals = pages.reduce((sum, p) =>
+            sum + Object.values(p.solutions).reduce((s, n) => s + n, 0), 0);
+
+        // Section titles come from the page: build nodes, never HTML strings
+        const body = [
+            createElement('p', {}, ['Diese Zahlen werden nur in deinem Browser gespeichert und nie übertragen.'])
+        ];
+        const stat = (label, value) => createElement('li', {}, [`${label}: `, createElement('strong', {}, [String(value)])]);
+
+        if (page && Object.keys(page.sections).length > 0) {
+            const rows = Object.entries(page.sections).map(([id, sec]) => createElement('tr', {}, [
+                createElement('td', {}, [this.getSectionTitle(id)]),
+                createElement('td', {}, [String(sec.views)]),
+                createElement('td', {}, [this.formatDuration(sec.seconds)])
+            ]));
+            body.push(
+                createElement('h3', {}, ['Diese Seite']),
+                createElement('table', { className: 'stats-table' }, [
+                    createElement('thead', {}, [createElement('tr', {}, [
+                        createElement('th', {}, ['Abschnitt']),
+                        createElement('th', {}, ['Aufrufe']),
+                        createElement('th', {}, ['Zeit'])
+                    ])]),
+                    createElement('tbody', {}, rows)
+                ]),
+                createElement('p', {}, [
+                    'Aufgedeckte Lösungen: ',
+                    createElement('strong', {}, [String(Object.keys(page.solutions).length)])
+                ])
+            );
+        } else {
+            body.push(createElement('p', {}, ['Für diese Seite liegen noch keine Daten vor.']));
+        }
+
+        body.push(
+            createElement('h3', {}, ['Alle Seiten']),
+            createElement('ul', {}, [
+                stat('Besuchte Seiten', pages.length),
+                stat('Lernzeit gesamt', this.formatDuration(totalSeconds)),
+                stat('Lösungen aufgedeckt', totalReveals)
+            ])
+        );
+
+        const modal = this.getPanel();
+        modal.querySelector('.modal-body').replaceChildren(...body);
+        modal.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+    }
+
+    getPanel() {
+        let modal = document.getElementById('statsModal');
+        if (modal) return modal;
+
+        modal = createElement('div', { id: 'statsModal', className: 'modal hidden' });
+        modal.innerHTML = `
+            <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="statsModalTitle">
+                <div class="modal-header">
+                    <h2 id="statsModalTitle">📊 Meine Lernstatistik</h2>
+                    <button type="button" class="modal-close" aria-label="Schließen">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-buttons">
+                    <button type="button" class="btn btn-primary" data-action="export">Als JSON exportieren</button>
+                    <button type="button" class="btn btn-outline" data-action="reset">Statistik löschen</button>
+                </div>
+            </div>`;
+
+        const close = () => {
+            modal.classList.add('hidden');
+            document.body.style.overflow = '';
+        };
+        modal.querySelector('.modal-close').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+        modal.querySelector('[data-action="export"]').addEventListener('click', () => this.exportJSON());
+        modal.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            if (confirm('Lernstatistik aller Seiten wirklich löschen?')) {
+                this.reset();
+                this.openPanel();
+            }
+        });
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+
+    exportJSON() {
+        this.flushTime();
+        if (this.activeSection) this.activeSince = Date.now();
+
+        const payload = {
+            exported: new Date().toISOString(),
+            source: window.location.origin,
+            pages: this.readAll()
+        };
+        const date = new Date().toISOString().slice(0, 10);
+        downloadCode(`lernstatistik-${date}.json`, JSON.stringify(payload, null, 2));
+    }
+
+    reset() {
+        try {
+            localStorage.removeItem(CONFIG.statsStorageKey);
+        } catch (e) {
+            // nothing stored
+        }
+        if (this.activeSection) this.activeSince = Date.now();
+    }
+}
+
+// ==========================================
+// WORKSHEET EXPORT
+// ==========================================
+/**
+ * Printable worksheet and a separate answer key, each in its own window
+ * (buttons in the footer, on pages without one below the content). On the
+ * worksheet solutions become answer space, text fields become lines and
+ * IDE embeds become static code listings; navigation, buttons and hints
+ * for the screen are dropped. Plain printing (Ctrl+P) leaves solutions
+ * and embeds out as well, see the print styles in style.css.
+ *
+ *   <section data-worksheet="off">   section is left out of both sheets
+ *   <div data-worksheet="skip">      element is left out (e.g. screen-only tips)
+ */
+class WorksheetExport {
+    constructor() {
+        this.enabled = CONFIG.enableWorksheetExport;
+        this.ideSources = new Map();
+        if (this.enabled) {
+            this.init();
+        }
+    }
+
+    init() {
+        // The Java IDE replaces its source code once it starts
+        document.querySelectorAll('.java-online').forEach(ide => {
+            this.ideSources.set(ide, ide.innerHTML);
+        });
+
+        this.injectButtons();
+    }
+
+    injectButtons() {
+        if (this.getSections().length === 0) return;
+        const target = document.querySelector('.footer .container') || this.createActions();
+
+        const worksheet = createElement('button', {
+            type: 'button',
+            className: 'btn btn-sm btn-outline worksheet-link'
+        }, ['🖨️ Arbeitsblatt']);
+        worksheet.addEventListener('click', () => this.printWorksheet());
+
+        const answers = createElement('button', {
+            type: 'button',
+            className: 'btn btn-sm btn-outline worksheet-link'
+        }, ['🔑 Lösungsblatt']);
+        answers.addEventListener('click', () => this.printAnswerKey());
+
+        target.append(worksheet, answers);
+    }
+
+    /**
+     * Pages without the standard footer get the buttons below the content
+     */
+    createActions() {
+        const actions = createElement('div', { className: 'worksheet-actions' });
+        const main = document.querySelector(CONFIG.selectors.mainContent);
+        (main || document.body).appendChild(actions);
+        return actions;
+    }
+
+    /**
+     * Sections of the page in reading order; pages without sections are
+     * printed as one block
+     */
+    getSections() {
+        const nav = window.eduNavigation;
+        const sections = nav && nav.sections.length > 0
+            ? nav.sections.map(section => section.element)
+            : Array.from(document.querySelectorAll('.content-section'));
+        const list = sections.length > 0 ? sections : [document.querySelector(CONFIG.selectors.mainContent)];
+        return list.filter(section => section && section.dataset.worksheet !== 'off');
+    }
+
+    getSectionTitle(section) {
+        const heading = section.querySelector('.chapter-header h1, .chapter-header h2, h1, h2');
+        if (heading) return heading.textContent.trim();
+        return section.id && learningStats ? learningStats.getSectionTitle(section.id) : '';
+    }
+
+    // ---- Worksheet -------------------------------------------------
+
+    printWorksheet() {
+        const body = this.getSections().map(section => {
+            const copy = this.prepare(section);
+            this.replaceSolutions(copy);
+            this.replaceFields(copy);
+            return `<section>${copy.innerHTML}</section>`;
+        }).join('');
+
+        this.openDocument('Arbeitsblatt', body, true);
+    }
+
+    /**
+     * Copy of a section with IDE embeds as listings and without
+     * everything that only makes sense on screen
+     */
+    prepare(section) {
+        const copy = section.cloneNode(true);
+
+        const ides = Array.from(section.querySelectorAll('.java-online, iframe'));
+        Array.from(copy.querySelectorAll('.java-online, iframe')).forEach((el, index) => {
+            el.replaceWith(this.renderEmbed(ides[index]));
+        });
+
+        copy.querySelectorAll([
+            'script', 'style', 'button', 'noscript', '.modal', '[data-feedback]',
+            '.task-link', '.workload-estimate', '.workload-total', '[data-worksheet="skip"]'
+        ].join(', ')).forEach(el => el.remove());
+
+        copy.querySelectorAll('[style]').forEach(el => el.removeAttribute('style'));
+        return copy;
+    }
+
+    renderEmbed(original) {
+        const source = original.matches('.java-online')
+            ? this.ideSources.get(original) || ''
+            : original.textContent;
+        const files = [];
+        const pattern = /<script\b[^>]*title=["']([^"']+)["'][^>]*>([\s\S]*?)<\/script>/gi;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            files.push({ name: match[1], code: match[2].replace(/^\n+|\s+$/g, '') });
+        }
+
+        const wrapper = createElement('div', { className: 'ws-listing' });
+        if (files.length === 0) {
+            // Videos, tools and other embeds cannot be printed
+            const url = original.getAttribute('src') || window.location.href;
+            wrapper.appendChild(createElement('p', { className: 'ws-note' }, [`[Online-Inhalt: ${url}]`]));
+            return wrapper;
+        }
+
+        files.forEach(file => {
+            wrapper.appendChild(createElement('div', { className: 'ws-file' }, [file.name]));
+            wrapper.appendChild(createElement('pre', {}, [file.code]));
+        });
+        return wrapper;
+    }
+
+    // Space for the answer, roughly as long as the model solution
+    answerSpace(lines) {
+        return createElement('div', {
+            className: 'ws-answer',
+            style: { height: `${Math.min(Math.max(lines, 3), 14) * 2}em` }
+        });
+    }
+
+    replaceSolutions(copy) {
+        copy.querySelectorAll('.solution-box, details').forEach(solution => {
+            // A task with its own text field already has room for the answer
+            const task = solution.closest('.task-box, .exercise-card, .exercise-box');
+            if (task && task.querySelector('textarea')) {
+                solution.remove();
+                return;
+            }
+            solution.replaceWith(this.answerSpace(Math.ceil(solution.textContent.trim().length / 90)));
+        });
+        copy.querySelectorAll('.hidden, [data-teacher-note]').forEach(el => el.remove());
+    }
+
+    replaceFields(copy) {
+        copy.querySelectorAll('textarea').forEach(field => {
+            field.replaceWith(this.answerSpace(parseInt(field.getAttribute('rows'), 10) || 4));
+        });
+        copy.querySelectorAll('input:not([type="checkbox"]):not([type="radio"]), select').forEach(field => {
+            field.replaceWith(createElement('span', { className: 'ws-blank' }));
+        });
+    }
+
+    // ---- Answer key -------------------------------------------------
+
+    printAnswerKey() {
+        const body = this.getSections().map(section => {
+            const items = this.collectAnswers(section);
+            if (items.length === 0) return '';
+            return `<section><h2>${escapeHtml(this.getSectionTitle(section))}</h2>${items.join('')}</section>`;
+        }).join('');
+
+        if (!body) {
+            showNotification('Diese Seite enthält keine Lösungen.', 'info');
+            return;
+        }
+        this.openDocument('Lösungsblatt', body, false);
+    }
+
+    /**
+     * Solutions behind a teacher code stay out of answer keys and the
+     * teacher overview until the code has been entered on the page
+     */
+    replaceCodeLocked(copy) {
+        copy.querySelectorAll('[data-lock="code"]').forEach(solution => {
+            if (!isCodeLocked(solution)) return;
+            solution.replaceWith(createElement('p', { className: 'ws-note' }, [
+                '🔒 Gesperrt – erst mit dem Freischalt-Code auf der Seite öffnen.'
+            ]));
+        });
+    }
+
+    collectAnswers(section) {
+        const copy = this.prepare(section);
+        this.replaceCodeLocked(copy);
+        const items = [];
+        let count = 0;
+
+        copy.querySelectorAll('.solution-box, details, [data-exercise]').forEach(block => {
+            const task = block.closest('.task-box, .exercise-card, .exercise-box') || block;
+            const heading = task.querySelector('h3, h4');
+            const title = heading ? heading.textContent.trim() : `Aufgabe ${++count}`;
+
+            let content;
+            if (block.matches('[data-exercise]')) {
+                // Self-check fields: the expected answers
+                const answers = Array.from(block.querySelectorAll('[data-answer]'))
+                    .map(field => (field.dataset.match === 'regex'
+                        ? field.dataset.answer
+                        : field.dataset.answer.split('|')[0]));
+                if (answers.length === 0) return;
+                content = `<ol>${answers.map(answer => `<li>${escapeHtml(answer)}</li>`).join('')}</ol>`;
+            } else {
+                const summary = block.querySelector('summary');
+                if (summary) summary.remove();
+                content = block.innerHTML;
+            }
+            items.push(`<div class="ws-solution"><h3>${escapeHtml(title)}</h3>${content}</div>`);
+        });
+        return items;
+    }
+
+    // ---- Output -------------------------------------------------------
+
+    openDocument(kind, body, withNameLine) {
+        const topic = document.querySelector('.hero-title, h1');
+        const title = topic ? topic.textContent.trim() : document.title.split('|')[0].trim();
+        const win = window.open('', '_blank');
+        if (!win) {
+            showNotification('Bitte Pop-ups für diese Seite erlauben.', 'warning');
+            return;
+        }
+
+        const nameLine = withNameLine
+            ? '<div class="ws-name"><span>Name:</span><span>Klasse:</span><span>Datum:</span></div>'
+            : '';
+        win.document.open();
+        win.document.write(`<!DOCTYPE html><html lang="${document.documentElement.lang || 'de'}"><head>
+<meta charset="UTF-8"><base href="${escapeHtml(window.location.href)}">
+<title>${escapeHtml(kind)}: ${escapeHtml(title)}</title><style>${WORKSHEET_STYLE}</style></head>
+<body><header><div class="ws-kind">${escapeHtml(kind)}</div><h1>${escapeHtml(title)}</h1>${nameLine}</header>
+${body}<footer>${escapeHtml(window.location.href.split('#')[0])}</footer>
+<script>window.addEventListener('load', function () { window.print(); });<\/script></body></html>`);
+        win.document.close();
+    }
+}
+
+const WORKSHEET_STYLE = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        color: #1e293b; line-height: 1.5; max-width: 180mm; margin: 0 auto; padding: 1rem; }
+    header { border-bottom: 2px solid #1e293b; margin-bottom: 1.5rem; }
+    h1 { font-size: 1.6rem; margin: 0.2rem 0 0.8rem; }
+    h2 { font-size: 1.3rem; margin-top: 2rem; border-bottom: 1px solid #cbd5e1; }
+    h3, h4 { margin-bottom: 0.3rem; }
+    .ws-kind { text-transform: uppercase; letter-spacing: 0.15em; font-size: 0.8rem; color: #64748b; }
+    .ws-name { display: flex; gap: 1.5rem; margin-bottom: 0.8rem; }
+    .ws-name span { flex: 1; border-bottom: 1px solid #1e293b; padding-top: 1rem; font-size: 0.85rem; }
+    .ws-name span:first-child { flex: 2; }
+    .ws-answer { border: 1px solid #94a3b8; border-radius: 4px; margin: 0.5rem 0 1rem;
+        background: repeating-linear-gradient(transparent, transparent calc(2em - 1px), #e2e8f0 calc(2em - 1px), #e2e8f0 2em); }
+    .ws-blank { display: inline-block; min-width: 8em; border-bottom: 1px solid #1e293b; }
+    .ws-listing { margin: 0.5rem 0 1rem; }
+    .ws-file { font-size: 0.8rem; font-weight: 600; color: #64748b; }
+    .ws-note { font-style: italic; color: #64748b; }
+    .ws-solution { break-inside: avoid; margin-bottom: 1rem; }
+    pre { white-space: pre-wrap; border: 1px solid #cbd5e1; border-radius: 4px; padding: 0.5rem;
+        font-size: 0.85rem; background: #f8fafc; }
+    img, svg { max-width: 100%; height: auto; }
+    table { border-collapse: collapse; margin: 0.5rem 0; }
+    th, td { border: 1px solid #cbd5e1; padding: 0.25rem 0.5rem; text-align: left; }
+    section { margin-bottom: 1.5rem; }
+    footer { margin-top: 2rem; font-size: 0.75rem; color: #64748b; word-break: break-all; }
+    @page { size: A4; margin: 15mm; }
+    @media print { body { padding: 0; max-width: none; } h2, h3, h4 { break-after: avoid; } }
+`;
+
+// ==========================================
+// TEACHER MODE
+// ==========================================
+/**
+ * Teacher view: ?lehrkraft=1 switches it on and is remembered in this
+ * browser, ?lehrkraft=0 or "Beenden" in the banner switches it off.
+ *
+ *   - all solutions are open, attempt and timer locks are skipped
+ *   - <div data-teacher-note>…</div> becomes visible (didactic hints,
+ *     timing, typical mistakes) – students never see these blocks
+ *   - "Aufgabenübersicht" lists every task of the page with its solution
+ *
+ * This is a convenience, not a protection: anyone can add the parameter.
+ * That is why solutions behind a teacher code (data-lock="code") stay
+ * closed here as well – the code opens them, as for everyone else.
+ */
+class TeacherMode {
+    constructor() {
+        this.active = this.readSetting();
+        if (this.active) {
+            this.init();
+        }
+    }
+
+    readSetting() {
+        const param = getQueryParam(CONFIG.teacherModeParam);
+        if (param !== null) {
+            const active = param !== '0' && param !== 'false';
+            this.saveSetting(active);
+            return active;
+        }
+        try {
+            return localStorage.getItem(CONFIG.teacherModeKey) === 'true';
+        } catch (e) {
+            return false;
+        }
+    }
+
+    saveSetting(active) {
+        try {
+            if (active) {
+                localStorage.setItem(CONFIG.teacherModeKey, 'true');
+            } else {
+                localStorage.removeItem(CONFIG.teacherModeKey);
+            }
+        } catch (e) {
+            // Private mode: only this page view
+        }
+    }
+
+    init() {
+        document.documentElement.classList.add('teacher-mode');
+        this.revealSolutions();
+        this.injectBanner();
+
+        // navigation.js may still be loading (SiteManager starts after us)
+        loadNavigationCore(() => EduNavigation.registerShortcut({
+            keys: ['u'],
+            label: 'Aufgabenübersicht (Lehrkraft)',
+            available: () => this.active,
+            run: () => this.openOverview()
+        }));
+        console.log('👩‍🏫 Teacher mode active');
+    }
+
+    disable() {
+        this.saveSetting(false);
+        const url = new URL(window.location);
+        url.searchParams.delete(CONFIG.teacherModeParam);
+        window.location.replace(url);
+    }
+
+    revealSolutions() {
+        document.querySelectorAll('.solution-box.hidden').forEach(solution => {
+            if (!isCodeLocked(solution)) solution.classList.remove('hidden');
+        });
+        document.querySelectorAll('.task-box details').forEach(details => { details.open = true; });
+    }
+
+    injectBanner() {
+        const banner = createElement('div', { className: 'teacher-banner', role: 'status' }, [
+            createElement('span', {}, ['👩‍🏫 Lehrkraft-Ansicht'])
+        ]);
+
+        const overview = createElement('button', { type: 'button', className: 'btn btn-sm btn-primary' }, ['📋 Aufgabenübersicht']);
+        overview.addEventListener('click', () => this.openOverview());
+
+        const present = createElement('button', { type: 'button', className: 'btn btn-sm btn-outline' }, ['📽️ Präsentieren']);
+        present.addEventListener('click', () => {
+            if (window.eduNavigation) window.eduNavigation.startPresentation();
+        });
+
+        const stop = createElement('button', { type: 'button', className: 'btn btn-sm btn-outline' }, ['Beenden']);
+        stop.addEventListener('click', () => this.disable());
+
+        banner.append(overview, present, stop);
+        document.body.appendChild(banner);
+    }
+
+    // ---- Overview -----------------------------------------------------
+
+    getSections() {
+        const nav = window.eduNavigation;
+        if (nav && nav.sections.length > 0) return nav.sections.map(section => section.element);
+        const main = document.querySelector(CONFIG.selectors.mainContent);
+        return main ? [main] : [];
+    }
+
+    /**
+     * Outermost tasks only: cards inside a task box belong to that box
+     */
+    getTasks(section) {
+        const selector = '.task-box, .exercise-card, .exercise-box';
+        return Array.from(section.querySelectorAll(selector))
+            .filter(task => !task.parentElement.closest(selector));
+    }
+
+    openOverview() {
+        const modal = this.getOverview();
+        const body = modal.querySelector('.modal-body');
+        body.innerHTML = '';
+
+        let count = 0;
+        this.getSections().forEach(section => {
+            const tasks = this.getTasks(section);
+            if (tasks.length === 0) return;
+
+            body.appendChild(createElement('h3', {}, [worksheetExport.getSectionTitle(section) || section.id]));
+            tasks.forEach(task => {
+                count++;
+                const copy = worksheetExport.prepare(task);
+                worksheetExport.replaceCodeLocked(copy);
+                copy.querySelectorAll('.hidden').forEach(el => el.classList.remove('hidden'));
+                copy.querySelectorAll('details').forEach(details => { details.open = true; });
+
+                const jump = createElement('button', {
+                    type: 'button',
+                    className: 'btn btn-sm btn-outline teacher-task-jump'
+                }, ['Zur Aufgabe →']);
+                jump.addEventListener('click', () => this.jumpTo(section, task));
+
+                const item = createElement('div', { className: 'teacher-task' }, [jump]);
+                Array.from(copy.childNodes).forEach(node => item.appendChild(node));
+                body.appendChild(item);
+            });
+        });
+
+        if (count === 0) {
+            body.appendChild(createElement('p', {}, ['Auf dieser Seite gibt es keine Aufgaben.']));
+        }
+
+        modal.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+    }
+
+    jumpTo(section, task) {
+        this.closeOverview();
+        const nav = window.eduNavigation;
+        if (nav && section.id && nav.has(section.id)) {
+            nav.goTo(section.id);
+            setTimeout(() => nav.showTarget(task), CONFIG.animationDuration);
+        } else {
+            task.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    closeOverview() {
+        const modal = document.getElementById('teacherOverview');
+        if (!modal) return;
+        modal.classList.add('hidden');
+        document.body.style.overflow = '';
+    }
+
+    getOverview() {
+        let modal = document.getElementById('teacherOverview');
+        if (modal) return modal;
+
+        modal = createElement('div', { id: 'teacherOverview', className: 'modal hidden' });
+        modal.innerHTML = `
+            <div class="modal-content teacher-overview" role="dialog" aria-modal="true" aria-labelledby="teacherOverviewTitle">
+                <div class="modal-header">
+                    <h2 id="teacherOverviewTitle">📋 Aufgaben und Lösungen</h2>
+                    <button type="button" class="modal-close" aria-label="Schließen">&times;</button>
+                </div>
+                <div class="modal-body"></div>
+                <div class="modal-buttons">
+                    <button type="button" class="btn btn-outline" data-action="answers">🔑 Lösungsblatt drucken</button>
+                </div>
+            </div>`;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.closeOverview());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeOverview();
+        });
+        modal.querySelector('[data-action="answers"]').addEventListener('click', () => worksheetExport.printAnswerKey());
+
+        document.body.appendChild(modal);
+        return modal;
+    }
+}
 
 // ==========================================
 // EXPORT & INITIALIZATION
@@ -931,6 +2140,13 @@ window.addEventListener('afterprint', () => {
 // Create global instance
 let siteManager;
 let darkModeManager;
+let learningStats;
+let solutionLock;
+let sortableLists;
+let exerciseEngine;
+let workloadEstimate;
+let worksheetExport;
+let teacherMode;
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
@@ -940,16 +2156,29 @@ if (document.readyState === 'loading') {
 }
 
 function initializeApp() {
+    teacherMode = new TeacherMode();
+    learningStats = new LearningStats();
+    workloadEstimate = new WorkloadEstimate();
     siteManager = new SiteManager();
     darkModeManager = new DarkModeManager();
+    worksheetExport = new WorksheetExport();
     
     // Expose to window for debugging
     window.siteManager = siteManager;
     window.darkModeManager = darkModeManager;
+    window.learningStats = learningStats;
+    window.workloadEstimate = workloadEstimate;
+    window.worksheetExport = worksheetExport;
+    window.teacherMode = teacherMode;
     
     // Highlight code if Prism is available
     highlightCode();
     
+    loadSiteSearch();
+    loadAccessibilityControls();
+    loadSolutionLocks();
+    loadExercises();
+    
     console.log('🎉 Application initialized successfully!');
 }
 
@@ -958,6 +2187,10 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         SiteManager,
         DarkModeManager,
+        LearningStats,
+        WorkloadEstimate,
+        WorksheetExport,
+        TeacherMode,
         toggleSolution,
         copyCode,
         downloadCode,
@@ -965,6 +2198,8 @@ if (typeof module !== 'undefined' && module.exports) {
         closeCompletionModal,
         createConfetti,
         printCertificate,
+        collectCertificateData,
+        copyLink,
         toggleElement,
         scrollToTop,
         formatDate,
@@ -1175,6 +2410,17 @@ function capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+/**
+ * Escape text for HTML strings
+ */
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Truncate text
  */
@@ -1209,6 +2455,16 @@ function calculateReadingTime(text, wordsPerMinute = 200) {
     return minutes;
 }
 
+/**
+ * Format minutes (95 → "1 Std. 35 Min.")
+ */
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    if (hours === 0) return `${rest} Min.`;
+    return rest > 0 ? `${hours} Std. ${rest} Min.` : `${hours} Std.`;
+}
+
 /**
  * Get cookie
  */
@@ -0,0 +1,315 @@
+/**
+ * ==========================================================
+ * edu-mrh.de – Volltextsuche (search.js)
+ * ==========================================================
+ * Sucht in Titeln, Überschriften, Abschnittstexten und PDF-Dateinamen
+ * aller Themenseiten. Der Index (search-index.js) wird vorab von
+ * tools/build-search-index.js erzeugt und erst beim ersten Klick ins
+ * Suchfeld als <script> nachgeladen – kein Server, keine Anfragen an
+ * Dritte, funktioniert auch offline (sw.js) und unter file://.
+ *
+ * Einbindung:
+ *
+ *   <script defer src="https://edu-mrh.de/search.js"></script>
+ *
+ * Standard-Seiten (embed/script.js) laden das Skript automatisch.
+ * Das Suchfeld erscheint
+ *   - in jedem Element mit data-site-search (z. B. auf der Startseite) und
+ *   - in der Navbar (.navbar .nav-links), sofern die Seite keines hat.
+ *
+ * Anpassung über data-Attribute am <script>-Tag (alle optional):
+ *   data-index="…"      Adresse des Index (Standard: search-index.js neben
+ *                       diesem Skript)
+ *   data-navbar="off"   kein Suchfeld in der Navbar einfügen
+ */
+
+(function () {
+    'use strict';
+
+    if (window.EDU_SEARCH_LOADED) return;
+    window.EDU_SEARCH_LOADED = true;
+
+    var script = document.currentScript || (function () {
+        var s = document.getElementsByTagName('script');
+        return s[s.length - 1];
+    })();
+    var cfg = (script && script.dataset) || {};
+    var baseUrl = script && script.src ? script.src.replace(/[^/]*$/, '') : 'https://edu-mrh.de/';
+    var indexUrl = cfg.index || baseUrl + 'search-index.js';
+
+    var MAX_RESULTS = 20;
+    var indexState = 'idle'; // idle | loading | ready | error
+    var waiting = [];
+
+    function ready(fn) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', fn);
+        } else {
+            fn();
+        }
+    }
+
+    // ---- Index laden ------------------------------------------------
+    function loadIndex(callback) {
+        if (indexState === 'ready' || indexState === 'error') {
+            callback();
+            return;
+        }
+        waiting.push(callback);
+        if (indexState === 'loading') return;
+
+        indexState = 'loading';
+        var tag = document.createElement('script');
+        tag.src = indexUrl;
+        tag.onload = function () {
+            indexState = window.EDU_SEARCH_INDEX ? 'ready' : 'error';
+            prepareIndex();
+            flush();
+        };
+        tag.onerror = function () {
+            indexState = 'error';
+            flush();
+        };
+        document.head.appendChild(tag);
+    }
+
+    function flush() {
+        var callbacks = waiting;
+        waiting = [];
+        callbacks.forEach(function (fn) { fn(); });
+    }
+
+    // Vorab normalisierte Texte, damit jede Eingabe nur noch vergleicht
+    function prepareIndex() {
+        if (indexState !== 'ready') return;
+        var index = window.EDU_SEARCH_INDEX;
+        index.entries.forEach(function (entry) {
+            var page = index.pages[entry.page];
+            entry.normTitle = normalize(page.title + ' ' + page.subject + ' ' + page.grade);
+            entry.normHeading = normalize(entry.heading || '');
+            entry.normText = normalize(entry.text || '');
+        });
+    }
+
+    // ---- Suchen -----------------------------------------------------
+    // Kleinbuchstaben, Umlaute wie Grundbuchstaben (ü = u = ue)
+    function normalize(text) {
+        return String(text).toLowerCase()
+            .replace(/ä/g, 'a').replace(/ö/g, 'o').replace(/ü/g, 'u').replace(/ß/g, 'ss')
+            .replace(/([aou])e/g, '$1');
+    }
+
+    function search(query) {
+        var terms = normalize(query).split(/\s+/).filter(function (t) { return t.length > 1; });
+        if (terms.length === 0 || indexState !== 'ready') return [];
+
+        var index = window.EDU_SEARCH_INDEX;
+        var results = [];
+
+        index.entries.forEach(function (entry) {
+            var score = 0;
+            for (var i = 0; i < terms.length; i++) {
+                var term = terms[i];
+                var hit = 0;
+                if (entry.normHeading.indexOf(term) !== -1) hit += entry.pdf ? 4 : 3;
+                if (entry.normTitle.indexOf(term) !== -1) hit += 2;
+                if (entry.normText.indexOf(term) !== -1) hit += 1;
+                if (hit === 0) return; // alle Begriffe müssen vorkommen
+                score += hit;
+            }
+            results.push({ entry: entry, page: index.pages[entry.page], score: score });
+        });
+
+        results.sort(function (a, b) { return b.score - a.score; });
+        return results.slice(0, MAX_RESULTS).map(function (r) {
+            r.snippet = snippet(r.entry, terms);
+            return r;
+        });
+    }
+
+    function snippet(entry, terms) {
+        var text = entry.text || '';
+        var norm = entry.normText;
+        var pos = -1;
+        for (var i = 0; i < terms.length && pos === -1; i++) pos = norm.indexOf(terms[i]);
+        if (pos === -1) return text.slice(0, 120);
+
+        // normalize() kann Zeichen entfernen (ue → u) – Position nur ungefähr
+        var start = Math.max(0, pos - 50);
+        return (start > 0 ? '… ' : '') + text.slice(start, start + 140) +
+            (start + 140 < text.length ? ' …' : '');
+    }
+
+    function resultUrl(result) {
+        if (result.entry.pdf) {
+            return /^[a-z]+:/i.test(result.entry.pdf) ? result.entry.pdf : baseUrl + result.entry.pdf;
+        }
+        return baseUrl + result.page.url + (result.entry.anchor ? '#' + result.entry.anchor : '');
+    }
+
+    // ---- Oberfläche -------------------------------------------------
+    var counter = 0;
+
+    function createSearchBox(mount, compact) {
+        var id = 'edu-search-' + (++counter);
+        var box = document.createElement('div');
+        box.className = 'edu-search' + (compact ? ' edu-search-compact' : '');
+        box.setAttribute('role', 'search');
+
+        var input = document.createElement('input');
+        input.type = 'search';
+        input.placeholder = mount.getAttribute('data-placeholder') || 'Thema, Begriff oder PDF suchen …';
+        input.setAttribute('aria-label', 'Alle Seiten durchsuchen');
+        input.setAttribute('aria-controls', id);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+
+        var list = document.createElement('ul');
+        list.className = 'edu-search-results';
+        list.id = id;
+        list.hidden = true;
+
+        box.appendChild(input);
+        box.appendChild(list);
+
+        function close() {
+            list.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+        }
+
+        function render() {
+            var query = input.value.trim();
+            list.innerHTML = '';
+            if (query.length < 2) {
+                close();
+                return;
+            }
+
+            if (indexState === 'error') {
+                addMessage(list, 'Suchindex nicht verfügbar.');
+            } else {
+                var results = search(query);
+                if (results.length === 0) addMessage(list, 'Keine Treffer für „' + query + '“.');
+                results.forEach(function (result) { list.appendChild(renderResult(result)); });
+            }
+            list.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+        }
+
+        input.addEventListener('focus', function () { loadIndex(function () {}); });
+        input.addEventListener('input', function () { loadIndex(render); });
+        input.addEventListener('keydown', function (e) {
+            if (e.key === 'Escape') {
+                close();
+            } else if (e.key === 'ArrowDown') {
+                var first = list.querySelector('a');
+                if (first) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+        list.addEventListener('keydown', function (e) {
+            var links = Array.prototype.slice.call(list.querySelectorAll('a'));
+            var current = links.indexOf(document.activeElement);
+            if (e.key === 'ArrowDown' && current < links.length - 1) {
+                e.preventDefault();
+                links[current + 1].focus();
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                (current > 0 ? links[current - 1] : input).focus();
+            } else if (e.key === 'Escape') {
+                close();
+                input.focus();
+            }
+        });
+        document.addEventListener('click', function (e) {
+            if (!box.contains(e.target)) close();
+        });
+
+        mount.appendChild(box);
+    }
+
+    function addMessage(list, text) {
+        var li = document.createElement('li');
+        li.className = 'edu-search-message';
+        li.textContent = text;
+        list.appendChild(li);
+    }
+
+    function renderResult(result) {
+        var li = document.createElement('li');
+        var a = document.createElement('a');
+        a.href = resultUrl(result);
+
+        var title = document.createElement('strong');
+        title.textContent = (result.entry.pdf ? '📄 ' : '') +
+            (result.entry.heading || result.page.title);
+
+        var meta = document.createElement('span');
+        meta.className = 'edu-search-meta';
+        meta.textContent = [
+            result.page.subject,
+            result.page.grade ? 'Jgst. ' + result.page.grade : '',
+            result.page.title
+        ].filter(Boolean).join(' · ');
+
+        var text = document.createElement('span');
+        text.className = 'edu-search-snippet';
+        text.textContent = result.snippet;
+
+        a.appendChild(title);
+        a.appendChild(meta);
+        a.appendChild(text);
+        li.appendChild(a);
+        return li;
+    }
+
+    ready(function () {
+        var mounts = document.querySelectorAll('[data-site-search]');
+        var navLinks = document.querySelector('.navbar .nav-links');
+        var useNavbar = cfg.navbar !== 'off' && navLinks &&
+            !navLinks.querySelector('[data-site-search]') && mounts.length === 0;
+        if (mounts.length === 0 && !useNavbar) return;
+
+        // ---- Eigenes, isoliertes Styling --------------------------------
+        var style = document.createElement('style');
+        style.textContent =
+            '.edu-search{position:relative;width:100%;max-width:36rem;}' +
+            '.edu-search-compact{width:14rem;}' +
+            '.edu-search input{width:100%;box-sizing:border-box;padding:10px 14px;' +
+            'border:1px solid rgba(0,0,0,.2);border-radius:999px;font:inherit;' +
+            'background:#fff;color:#1f2937;}' +
+            '.edu-search-compact input{padding:6px 12px;font-size:14px;}' +
+            '.edu-search-results{position:absolute;top:calc(100% + 6px);left:0;right:0;' +
+            'min-width:20rem;max-height:70vh;overflow-y:auto;margin:0;padding:4px;' +
+            'list-style:none;background:#fff;color:#1f2937;border-radius:10px;' +
+            'box-shadow:0 10px 25px rgba(0,0,0,.2);z-index:99991;text-align:left;}' +
+            '.edu-search-compact .edu-search-results{left:auto;width:24rem;max-width:90vw;}' +
+            '.edu-search-results a{display:block;padding:8px 10px;border-radius:8px;' +
+            'color:inherit;text-decoration:none;}' +
+            '.edu-search-results a:hover,.edu-search-results a:focus{background:#eff6ff;outline:none;}' +
+            '.edu-search-results strong{display:block;}' +
+            '.edu-search-meta{display:block;font-size:12px;color:#3b82f6;}' +
+            '.edu-search-snippet{display:block;font-size:13px;color:#64748b;}' +
+            '.edu-search-message{padding:8px 10px;color:#64748b;}' +
+            'html.dark-mode .edu-search input,html.dark-mode .edu-search-results' +
+            '{background:#1e293b;color:#f1f5f9;border-color:#334155;}' +
+            'html.dark-mode .edu-search-results a:hover,html.dark-mode .edu-search-results a:focus' +
+            '{background:#334155;}' +
+            '@media (max-width:768px){.edu-search-compact{width:100%;}}' +
+            '@media print{.edu-search{display:none;}}';
+        document.head.appendChild(style);
+
+        Array.prototype.forEach.call(mounts, function (mount) {
+            createSearchBox(mount, false);
+        });
+
+        if (useNavbar) {
+            var slot = document.createElement('div');
+            slot.className = 'edu-search-slot';
+            navLinks.insertBefore(slot, navLinks.firstChild);
+            createSearchBox(slot, true);
+        }
+    });
+})();
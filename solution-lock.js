@@ -0,0 +1,282 @@
+/**
+ * ==========================================
+ * LÖSUNGSSPERREN (data-lock)
+ * ==========================================
+ * Gemeinsame Sperren für Lösungsblöcke. Standard-Seiten bekommen die
+ * Datei über embed/script.js (lädt sie nach, sobald ein [data-lock] auf
+ * der Seite steht); eigene Kurse wie informatik/12/nebenlaeufigkeit
+ * binden sie selbst ein und rufen new SolutionLock() auf:
+ *
+ *   <script defer src="https://edu-mrh.de/solution-lock.js"></script>
+ *
+ * Attribute am Lösungsblock (mit id):
+ *
+ *   data-lock="attempt"   öffnet erst nach einem eigenen Lösungsversuch
+ *       data-lock-attempt="textareaId"  (Standard: erstes Textfeld der Aufgabe)
+ *       data-lock-min="20"              Mindestanzahl Zeichen
+ *   data-lock="timer"     öffnet nach einem Countdown ab dem ersten Besuch
+ *       data-lock-seconds="300"
+ *   data-lock="code"      öffnet mit dem Freischalt-Code der Lehrkraft
+ *       data-lock-code="sha256:…"
+ *
+ * Den Code immer als Hash eintragen – ein Klartext-Code steht für jeden
+ * lesbar im Seitenquelltext (wird noch akzeptiert, aber in der Konsole
+ * angemahnt). Hash erzeugen in der Browser-Konsole:
+ *
+ *   hashUnlockCode('geheim').then(console.log)
+ *
+ * Freigeschaltete Lösungen merkt sich der Browser je Seite
+ * (localStorage "site_solution_locks").
+ */
+
+'use strict';
+
+/**
+ * Hash a teacher unlock code for data-lock-code="sha256:…"; rejects where
+ * the browser offers no crypto.subtle (plain http, some file:// setups)
+ */
+function hashUnlockCode(code) {
+    if (!window.crypto || !window.crypto.subtle) {
+        return Promise.reject(new Error('crypto.subtle ist hier nicht verfügbar (nur über https)'));
+    }
+    const bytes = new TextEncoder().encode(code.trim());
+    return crypto.subtle.digest('SHA-256', bytes).then(buffer =>
+        'sha256:' + Array.from(new Uint8Array(buffer))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join(''));
+}
+
+/**
+ * Toast for pages without script.js (showNotification)
+ */
+function lockNotice(message) {
+    let box = document.getElementById('eduLockNotice');
+    if (!box) {
+        box = document.createElement('div');
+        box.id = 'eduLockNotice';
+        box.setAttribute('role', 'status');
+        box.style.cssText = 'position:fixed;left:50%;bottom:1.5rem;transform:translateX(-50%);' +
+            'max-width:90vw;padding:0.75rem 1.25rem;border-radius:8px;background:#1e293b;' +
+            'color:#fff;font:inherit;box-shadow:0 4px 16px rgba(0,0,0,0.25);z-index:10000;';
+        document.body.appendChild(box);
+    }
+    box.textContent = message;
+    box.hidden = false;
+    clearTimeout(lockNotice.timer);
+    lockNotice.timer = setTimeout(() => { box.hidden = true; }, 3000);
+}
+
+class SolutionLock {
+    /**
+     * options.notify(message, type)  Meldungen (Standard: showNotification
+     *                                aus script.js, sonst ein eigener Toast)
+     * options.isBypassed(solution)   true = Sperre gilt gerade nicht
+     */
+    constructor(options = {}) {
+        this.storageKey = 'site_solution_locks';
+        this.pageKey = window.location.pathname;
+        this.notify = options.notify || ((message, type) => {
+            if (typeof showNotification === 'function') showNotification(message, type);
+            else lockNotice(message);
+        });
+        this.isBypassed = options.isBypassed || (() => false);
+        this.init();
+    }
+
+    init() {
+        this.solutions = Array.from(document.querySelectorAll('[data-lock][id]'));
+        if (this.solutions.length === 0) return;
+
+        const state = this.getPageState();
+        this.solutions.forEach(solution => {
+            if (solution.dataset.lock === 'timer' && !state.timers[solution.id]) {
+                state.timers[solution.id] = Date.now();
+            }
+            if (solution.dataset.lock === 'code' && !(solution.dataset.lockCode || '').startsWith('sha256:')) {
+                console.warn(`🔓 #${solution.id}: Freischalt-Code steht im Klartext im Quelltext – ` +
+                    'mit hashUnlockCode() als data-lock-code="sha256:…" eintragen.');
+            }
+        });
+        this.savePageState(state);
+
+        this.updateButtons();
+        if (this.solutions.some(solution => solution.dataset.lock === 'timer')) {
+            this.timerInterval = setInterval(() => this.updateButtons(), 1000);
+        }
+    }
+
+    // ---- Storage ---------------------------------------------------
+
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    getPageState() {
+        const page = this.readAll()[this.pageKey] || {};
+        return {
+            unlocked: page.unlocked || [],
+            timers: page.timers || {}
+        };
+    }
+
+    savePageState(state) {
+        const data = this.readAll();
+        data[this.pageKey] = state;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (e) {
+            // Private mode: locks reset on reload
+        }
+    }
+
+    // ---- Lock state ------------------------------------------------
+
+    isLocked(solution) {
+        if (!solution.dataset.lock) return false;
+        if (this.isBypassed(solution)) return false;
+        if (this.getPageState().unlocked.includes(solution.id)) return false;
+
+        // Timers open by themselves
+        return !(solution.dataset.lock === 'timer' && this.getRemainingSeconds(solution) === 0);
+    }
+
+    unlock(solutions) {
+        const state = this.getPageState();
+        solutions.forEach(solution => {
+            if (!state.unlocked.includes(solution.id)) state.unlocked.push(solution.id);
+        });
+        this.savePageState(state);
+        this.updateButtons();
+    }
+
+    getRemainingSeconds(solution) {
+        const startedAt = this.getPageState().timers[solution.id] || Date.now();
+        const total = parseInt(solution.dataset.lockSeconds, 10) || 300;
+        return Math.max(0, Math.ceil(total - (Date.now() - startedAt) / 1000));
+    }
+
+    getAttemptField(solution) {
+        if (solution.dataset.lockAttempt) {
+            return document.getElementById(solution.dataset.lockAttempt);
+        }
+        const task = solution.closest('.task-box, .exercise-card, .card') || solution.parentElement;
+        return task ? task.querySelector('textarea') : null;
+    }
+
+    /**
+     * Check the unlock condition; resolves true if the solution may open
+     */
+    requestUnlock(solution) {
+        switch (solution.dataset.lock) {
+            case 'attempt': {
+                const field = this.getAttemptField(solution);
+                const min = parseInt(solution.dataset.lockMin, 10) || 20;
+                const length = field ? field.value.trim().length : 0;
+
+                if (length >= min) {
+                    this.unlock([solution]);
+                    return Promise.resolve(true);
+                }
+                this.notify(`✏️ Schreibe zuerst deinen eigenen Lösungsversuch (noch ${min - length} Zeichen).`, 'warning');
+                if (field) field.focus();
+                return Promise.resolve(false);
+            }
+
+            case 'timer': {
+                const remaining = this.getRemainingSeconds(solution);
+                if (remaining === 0) return Promise.resolve(true);
+                this.notify(`⏳ Die Lösung ist in ${this.formatCountdown(remaining)} verfügbar.`, 'info');
+                return Promise.resolve(false);
+            }
+
+            case 'code': {
+                const input = prompt('🔑 Freischalt-Code der Lehrkraft:');
+                if (!input) return Promise.resolve(false);
+
+                return this.matchesCode(input, solution.dataset.lockCode).then(matches => {
+                    if (matches) {
+                        // One code opens every solution that shares it
+                        this.unlock(this.solutions.filter(s => s.dataset.lockCode === solution.dataset.lockCode));
+                        this.notify('🔓 Lösungen freigeschaltet.', 'success');
+                    } else {
+                        this.notify('Der Code ist nicht korrekt.', 'error');
+                    }
+                    return matches;
+                }, error => {
+                    console.error('🔓 Freischalt-Code nicht prüfbar:', error);
+                    this.notify('Der Code kann in diesem Browser nicht geprüft werden – ' +
+                        'bitte die Seite über https://edu-mrh.de öffnen.', 'error');
+                    return false;
+                });
+            }
+
+            default:
+                return Promise.resolve(true);
+        }
+    }
+
+    matchesCode(input, expected = '') {
+        if (expected.startsWith('sha256:')) {
+            return hashUnlockCode(input).then(hash => hash === expected.toLowerCase());
+        }
+        return Promise.resolve(input.trim() === expected.trim());
+    }
+
+    formatCountdown(seconds) {
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // ---- Buttons ---------------------------------------------------
+
+    getButtons(solution) {
+        return Array.from(document.querySelectorAll('[onclick*="toggleSolution"]'))
+            .filter(btn => btn.getAttribute('onclick').includes(`'${solution.id}'`) ||
+                           btn.getAttribute('onclick').includes(`"${solution.id}"`));
+    }
+
+    updateButtons() {
+        let runningTimers = 0;
+
+        this.solutions.forEach(solution => {
+            const locked = this.isLocked(solution);
+            let label = '🔒';
+            if (locked && solution.dataset.lock === 'timer') {
+                label = `🔒 ${this.formatCountdown(this.getRemainingSeconds(solution))}`;
+                runningTimers++;
+            }
+
+            this.getButtons(solution).forEach(btn => {
+                let indicator = btn.querySelector('.lock-indicator');
+                btn.classList.toggle('solution-locked', locked);
+
+                if (!locked) {
+                    if (indicator) indicator.remove();
+                    return;
+                }
+                if (!indicator) {
+                    indicator = document.createElement('span');
+                    indicator.className = 'lock-indicator';
+                    btn.prepend(indicator);
+                }
+                indicator.textContent = `${label} `;
+            });
+        });
+
+        // Stop ticking once every countdown has run out
+        if (runningTimers === 0 && this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+}
+
+window.SolutionLock = SolutionLock;
+window.hashUnlockCode = hashUnlockCode;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SolutionLock, hashUnlockCode };
+}
@@ -0,0 +1,177 @@
+/**
+ * ==========================================
+ * SERVICE WORKER - Offline-Modus
+ * ==========================================
+ * Wird von script.js registriert (CONFIG.enableServiceWorker).
+ * Hält die gemeinsamen Dateien vor und speichert besuchte Themenseiten
+ * samt PDFs, Bildern und .sqlite-Datenbanken, damit Seiten auch bei
+ * abbrechendem Schul-WLAN weiter funktionieren. JSON-Daten (z. B.
+ * Lebensmittel, Schemas) kommen immer frisch aus dem Netz, solange es da ist.
+ *
+ * CACHE_VERSION wird beim FTP-Deployment automatisch durch den
+ * Commit-Hash ersetzt (.github/workflows/ftp-deploy.yml). Jede neue
+ * Version legt frische Caches an und räumt die alten beim Aktivieren ab.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'edu-mrh-';
+const STATIC_CACHE = `${CACHE_PREFIX}static-${CACHE_VERSION}`;
+const PAGES_CACHE = `${CACHE_PREFIX}pages-${CACHE_VERSION}`;
+const ASSETS_CACHE = `${CACHE_PREFIX}assets-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`;
+
+// App shell under the URLs the pages load it from (style.css and
+// script.js are deployed to /embed/) - without it there is no offline mode
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    '/embed/style.css',
+    '/embed/script.js'
+];
+
+// Shared modules the pages or script.js request; cached one by one, so a
+// missing file does not stop the service worker from installing
+const PRECACHE_OPTIONAL_URLS = [
+    '/embed/icons/favicon.png',
+    '/navigation.js',
+    '/presentation.js',
+    '/solution-lock.js',
+    '/certificate.js',
+    '/exercises.js',
+    '/controls.js',
+    '/search.js',
+    '/catalog.js',
+    '/site-catalog.js'
+];
+
+// Topic material that never changes under the same URL
+const ASSET_PATTERN = /\.(pdf|png|jpe?g|gif|svg|webp|sqlite|zip|woff2?)$/i;
+const STATIC_PATTERN = /\.(css|js)$/i;
+// Data that is edited in place (foods, schemas, search index)
+const DATA_PATTERN = /\.json$/i;
+
+// ==========================================
+// LIFECYCLE
+// ==========================================
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS)
+                .then(() => Promise.allSettled(PRECACHE_OPTIONAL_URLS.map(url => cache.add(url)))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [STATIC_CACHE, PAGES_CACHE, ASSETS_CACHE, DATA_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ==========================================
+// FETCH STRATEGIES
+// ==========================================
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, PAGES_CACHE, '/index.html'));
+    } else if (DATA_PATTERN.test(url.pathname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (ASSET_PATTERN.test(url.pathname)) {
+        event.respondWith(cacheFirst(request, ASSETS_CACHE));
+    } else if (STATIC_PATTERN.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request, STATIC_CACHE));
+    }
+});
+
+/**
+ * HTML pages and JSON data: always try the network so edits are visible
+ * immediately, fall back to the last cached copy (or fallbackUrl) offline
+ */
+function networkFirst(request, cacheName, fallbackUrl) {
+    return fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(cacheName).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request)
+            .then(cached => cached || (fallbackUrl && caches.match(fallbackUrl))));
+}
+
+/**
+ * PDFs, images, databases: served from cache once downloaded
+ */
+function cacheFirst(request, cacheName) {
+    return caches.match(request).then(cached => {
+        if (cached) return cached;
+
+        return fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(cacheName).then(cache => cache.put(request, copy));
+            }
+            return response;
+        });
+    });
+}
+
+/**
+ * CSS/JS: answer from cache, refresh in the background
+ */
+function staleWhileRevalidate(request, cacheName) {
+    return caches.open(cacheName).then(cache =>
+        cache.match(request).then(cached => {
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) cache.put(request, response.clone());
+                    return response;
+                })
+                .catch(() => cached);
+
+            return cached || network;
+        })
+    );
+}
+
+// ==========================================
+// MESSAGES FROM PAGES
+// ==========================================
+// script.js sends the material linked on a visited page so it is
+// available offline even if the student never opened it during the lesson.
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type !== 'CACHE_ASSETS' || !Array.isArray(data.urls)) return;
+
+    event.waitUntil(
+        caches.open(ASSETS_CACHE).then(cache => Promise.all(data.urls
+            .filter(href => {
+                try {
+                    return new URL(href).origin === self.location.origin;
+                } catch (e) {
+                    return false;
+                }
+            })
+            .map(href => cache.match(href).then(cached => {
+                if (cached) return null;
+                return fetch(href)
+                    .then(response => response.ok ? cache.put(href, response) : null)
+                    .catch(() => null);
+            }))))
+    );
+});
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * SEITENKATALOG ERZEUGEN
+ * ==========================================
+ * Läuft durch <fach>/<jahrgangsstufe>/<thema>/ und schreibt
+ *
+ *   site-catalog.json   der Katalog (Fächer, Themen, Titel, Beschreibung,
+ *                       Materialien) – für Werkzeuge und zum Nachlesen
+ *   site-catalog.js     derselbe Inhalt als window.EDU_CATALOG für
+ *                       catalog.js (funktioniert ohne Server, auch file://)
+ *
+ * Aufruf (ohne Abhängigkeiten, nur Node.js):
+ *
+ *   node tools/build-catalog.js
+ *
+ * Läuft automatisch beim Deployment (.github/workflows/ftp-deploy.yml).
+ *
+ * Ein Thema ist ein Ordner unter der Jahrgangsstufe. Seine Hauptseite ist
+ * <thema>.html, sonst index.html, sonst die erste HTML-Datei. Weitere
+ * HTML-Dateien im Ordner landen unter "pages" (aus Unterordnern mit
+ * "nested": true), PDFs, Datenbanken, Archive usw. unter "assets".
+ * Einzelne HTML-Dateien direkt im Jahrgangs- oder Fach-Ordner sind
+ * jeweils ein eigenes Thema.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT, SUBJECTS, pageTitle, metaDescription, matchFirst,
+    collectFiles, relativePath, toUrl
+} = require('./site-tree');
+
+const OUTPUT_JSON = path.join(ROOT, 'site-catalog.json');
+const OUTPUT_JS = path.join(ROOT, 'site-catalog.js');
+
+const HTML_PATTERN = /\.html?$/i;
+const ASSET_PATTERN = /\.(pdf|zip|sqlite|db|docx?|pptx?|xlsx?|odt|odp|ggb|java|py|jar)$/i;
+
+// ==========================================
+// PAGE INFO
+// ==========================================
+function readPage(relPath) {
+    const html = fs.readFileSync(path.join(ROOT, relPath), 'utf8');
+    const body = html.replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '');
+
+    return {
+        title: pageTitle(html) || matchFirst(body, /<h1[^>]*>([\s\S]*?)<\/h1>/i) || path.basename(relPath),
+        description: metaDescription(html) ||
+            matchFirst(body, /<p[^>]*class=["'][^"']*hero-description[^"']*["'][^>]*>([\s\S]*?)<\/p>/i),
+        url: toUrl(relPath)
+    };
+}
+
+/**
+ * Main page of a topic folder: <thema>.html, index.html or the first page
+ */
+function pickMainPage(topicName, htmlFiles) {
+    const direct = htmlFiles.filter(file => file.split('/').length === htmlFiles[0].split('/').length);
+    const byName = name => htmlFiles.find(file => path.posix.basename(file).toLowerCase() === name);
+    return byName(`${topicName.toLowerCase()}.html`) || byName('index.html') || direct[0] || htmlFiles[0];
+}
+
+function buildTopic(subject, grade, topicName, relFiles) {
+    const htmlFiles = relFiles.filter(file => HTML_PATTERN.test(file));
+    if (htmlFiles.length === 0) return null;
+
+    const mainPage = pickMainPage(topicName, htmlFiles);
+    const info = readPage(mainPage);
+
+    return {
+        subject,
+        grade,
+        topic: topicName,
+        title: info.title,
+        description: info.description,
+        url: info.url,
+        pages: htmlFiles
+            .filter(file => file !== mainPage)
+            .map(file => {
+                const page = readPage(file);
+                const entry = { title: page.title, url: page.url };
+                // Pages in sub-folders (e.g. a game with many screens) are
+                // listed for link checks but not shown on cards
+                if (path.posix.dirname(file) !== path.posix.dirname(mainPage)) entry.nested = true;
+                return entry;
+            }),
+        assets: relFiles
+            .filter(file => ASSET_PATTERN.test(file))
+            .map(file => ({ name: path.posix.basename(file), url: toUrl(file) }))
+    };
+}
+
+// ==========================================
+// TREE WALK
+// ==========================================
+/**
+ * Topics of one folder level: sub-folders become one topic each,
+ * loose HTML files one topic per file
+ */
+function collectTopics(subject, grade, dir) {
+    const topics = [];
+
+    fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name, 'de'))
+        .forEach(entry => {
+            const fullPath = path.join(dir, entry.name);
+            const relPath = relativePath(fullPath);
+
+            if (entry.isDirectory()) {
+                const files = collectFiles(fullPath).map(relativePath);
+                const topic = buildTopic(subject, grade, entry.name, files);
+                if (topic) topics.push(topic);
+            } else if (HTML_PATTERN.test(entry.name)) {
+                const topic = buildTopic(subject, grade, entry.name.replace(HTML_PATTERN, ''), [relPath]);
+                if (topic) topics.push(topic);
+            }
+        });
+
+    return topics;
+}
+
+function buildCatalog() {
+    const subjects = [];
+    const topics = [];
+
+    Object.keys(SUBJECTS).forEach(folder => {
+        const meta = SUBJECTS[folder];
+        const dir = path.join(ROOT, folder);
+        if (!fs.existsSync(dir)) return;
+
+        subjects.push({
+            subject: folder,
+            name: meta.name,
+            icon: meta.icon,
+            description: meta.description,
+            url: toUrl(meta.page)
+        });
+
+        fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && /^\d+$/.test(entry.name))
+            .sort((a, b) => parseInt(a.name, 10) - parseInt(b.name, 10))
+            .forEach(entry => {
+                topics.push(...collectTopics(folder, entry.name, path.join(dir, entry.name)));
+            });
+
+        // Loose pages directly in the subject folder (except the subject page)
+        const loose = fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isFile() && HTML_PATTERN.test(entry.name))
+            .map(entry => `${folder}/${entry.name}`)
+            .filter(relPath => relPath !== meta.page);
+        loose.forEach(relPath => {
+            const topic = buildTopic(folder, '', path.posix.basename(relPath).replace(HTML_PATTERN, ''), [relPath]);
+            if (topic) topics.push(topic);
+        });
+    });
+
+    return { generated: new Date().toISOString(), subjects, topics };
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+if (require.main === module) {
+    const catalog = buildCatalog();
+    const json = JSON.stringify(catalog, null, 2);
+
+    fs.writeFileSync(OUTPUT_JSON, json + '\n');
+    fs.writeFileSync(OUTPUT_JS,
+        '/* Automatisch erzeugt von tools/build-catalog.js – nicht von Hand bearbeiten */\n' +
+        `window.EDU_CATALOG = ${JSON.stringify(catalog)};\n`);
+
+    console.log(`Katalog: ${catalog.subjects.length} Fächer, ${catalog.topics.length} Themen → ` +
+        `${path.relative(ROOT, OUTPUT_JSON)}, ${path.relative(ROOT, OUTPUT_JS)}`);
+}
+
+module.exports = { buildCatalog };
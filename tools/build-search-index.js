@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * SUCHINDEX ERZEUGEN
+ * ==========================================
+ * Durchsucht alle Fach-Ordner (<fach>/<jahrgangsstufe>/<thema>/…) und
+ * schreibt search-index.js in die Wurzel des Repositorys. search.js lädt
+ * diese Datei als <script> – die Suche funktioniert deshalb ohne Server,
+ * auch bei lokal geöffneten Seiten (file://).
+ *
+ * Aufruf (ohne Abhängigkeiten, nur Node.js):
+ *
+ *   node tools/build-search-index.js
+ *
+ * Läuft automatisch beim Deployment (.github/workflows/ftp-deploy.yml).
+ * Pro Seite wird jeder Abschnitt mit id (<section id>, <h2 id> …) zu einem
+ * eigenen Treffer, damit die Suche direkt an die Stelle springt.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ROOT, SUBJECTS, decodeEntities, stripTags, matchFirst, pageTitle,
+    collectFiles, relativePath, toUrl
+} = require('./site-tree');
+
+const OUTPUT = path.join(ROOT, 'search-index.js');
+
+// Maximale Textlänge pro Abschnitt (hält den Index klein)
+const MAX_TEXT = 1500;
+
+// ==========================================
+// HTML HELPERS
+// ==========================================
+/**
+ * Removes everything that is not readable page content
+ */
+function cleanHtml(html) {
+    return html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<(nav|aside|footer)\b[\s\S]*?<\/\1>/gi, '');
+}
+
+// ==========================================
+// PAGE PARSING
+// ==========================================
+/**
+ * Splits the page body at every element with an id that can be a jump
+ * target (sections and headings) and returns one chunk per anchor
+ */
+function splitSections(body) {
+    const anchorPattern = /<(section|article|h[1-4])\b[^>]*\bid\s*=\s*["']([^"']+)["'][^>]*>/gi;
+    const anchors = [];
+    let match;
+    while ((match = anchorPattern.exec(body)) !== null) {
+        anchors.push({ index: match.index, id: match[2] });
+    }
+
+    const chunks = [];
+    const firstIndex = anchors.length > 0 ? anchors[0].index : body.length;
+    chunks.push({ anchor: '', html: body.slice(0, firstIndex) });
+    anchors.forEach((anchor, i) => {
+        const end = i + 1 < anchors.length ? anchors[i + 1].index : body.length;
+        chunks.push({ anchor: anchor.id, html: body.slice(anchor.index, end) });
+    });
+    return chunks;
+}
+
+function parsePage(relPath, html) {
+    const segments = relPath.split('/');
+    const title = pageTitle(html);
+
+    const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    const body = cleanHtml(bodyMatch ? bodyMatch[1] : html);
+
+    const page = {
+        url: toUrl(relPath),
+        title: title || matchFirst(body, /<h1[^>]*>([\s\S]*?)<\/h1>/i) || segments[segments.length - 1],
+        subject: SUBJECTS[segments[0]].name,
+        grade: /^\d+$/.test(segments[1] || '') ? segments[1] : ''
+    };
+
+    const entries = [];
+    splitSections(body).forEach(chunk => {
+        const heading = matchFirst(chunk.html, /<h[1-4][^>]*>([\s\S]*?)<\/h[1-4]>/i);
+        const text = stripTags(chunk.html).slice(0, MAX_TEXT);
+        if (!text) return;
+        entries.push({ anchor: chunk.anchor, heading, text });
+    });
+
+    // Linked PDFs are searchable by file name
+    const pdfPattern = /<a\b[^>]*href\s*=\s*["']([^"'#?]+\.pdf)["'][^>]*>([\s\S]*?)<\/a>/gi;
+    const seen = new Set();
+    let match;
+    while ((match = pdfPattern.exec(body)) !== null) {
+        const href = decodeEntities(match[1]);
+        if (seen.has(href)) continue;
+        seen.add(href);
+
+        let file;
+        try {
+            file = decodeURIComponent(href.split('/').pop());
+        } catch (e) {
+            file = href.split('/').pop();
+        }
+        const url = /^([a-z]+:|\/)/i.test(href)
+            ? href
+            : path.posix.join(path.posix.dirname(page.url), href);
+        entries.push({ pdf: url, heading: file, text: stripTags(match[2]) });
+    }
+
+    return { page, entries };
+}
+
+// ==========================================
+// INDEX
+// ==========================================
+function buildIndex() {
+    const pages = [];
+    const entries = [];
+
+    Object.keys(SUBJECTS).forEach(folder => {
+        const dir = path.join(ROOT, folder);
+        if (!fs.existsSync(dir)) return;
+
+        collectFiles(dir, /\.html?$/i).forEach(file => {
+            const relPath = relativePath(file);
+            const parsed = parsePage(relPath, fs.readFileSync(file, 'utf8'));
+            const pageIndex = pages.push(parsed.page) - 1;
+            parsed.entries.forEach(entry => entries.push(Object.assign({ page: pageIndex }, entry)));
+        });
+    });
+
+    return { generated: new Date().toISOString(), pages, entries };
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+if (require.main === module) {
+    const index = buildIndex();
+    const source = '/* Automatisch erzeugt von tools/build-search-index.js – nicht von Hand bearbeiten */\n' +
+        `window.EDU_SEARCH_INDEX = ${JSON.stringify(index)};\n`;
+
+    fs.writeFileSync(OUTPUT, source);
+    console.log(`Suchindex: ${index.pages.length} Seiten, ${index.entries.length} Einträge, ` +
+        `${Math.round(source.length / 1024)} KB → ${path.relative(ROOT, OUTPUT)}`);
+}
+
+module.exports = { buildIndex, parsePage };
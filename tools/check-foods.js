@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * LEBENSMITTEL-DATENBANK PRÜFEN
+ * ==========================================
+ * Prüft die kuratierten Lebensmittel (nutrition/data/*.json) offline gegen
+ * nutrition/schemas/food.schema.json und untereinander:
+ *
+ *   Fehler   - Verstoß gegen das Schema (Pflichtfelder, id-Muster,
+ *              Kategorie, unbekannte Felder, Texte ohne "de", Zahlenbereiche)
+ *            - id doppelt vergeben (auch über Dateien hinweg)
+ *            - swaps: unbekannte id oder Verweis auf sich selbst
+ *            - Allergen, das die Seite nicht kennt (Liste "allergen" in
+ *              assets/i18n/ui.de.json – dieselben Slugs landen in
+ *              profile.constraints.allergens_avoid)
+ *            - Eiweiß + Fett + Kohlenhydrate über 100 g je 100 g
+ *   Warnung  - Text ohne englische Übersetzung
+ *            - Kategorie, Tag oder Mikronährstoff ohne Beschriftung in
+ *              ui.de.json (der Essens-Kompass zeigte sonst den Slug)
+ *
+ * Aufruf (ohne Abhängigkeiten, nur Node.js):
+ *
+ *   node tools/check-foods.js                     alle Dateien in nutrition/data/
+ *   node tools/check-foods.js datei.json ordner/  nur diese Dateien/Ordner
+ *   node tools/check-foods.js --strict            Warnungen zählen als Fehler
+ *
+ * Eine Datei enthält ein Array von Einträgen oder einen einzelnen Eintrag.
+ * Beendet sich mit Code 1, wenn Fehler gefunden wurden.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, collectFiles, relativePath } = require('./site-tree');
+
+const DATA_DIR = path.join(ROOT, 'nutrition', 'data');
+const FOOD_SCHEMA = path.join(ROOT, 'nutrition', 'schemas', 'food.schema.json');
+const UI_STRINGS = path.join(ROOT, 'nutrition', 'assets', 'i18n', 'ui.de.json');
+
+const LOCALIZED_REF = '#/definitions/localized';
+const MAX_MACROS_G = 100;
+
+// ==========================================
+// SCHEMA (die Teilmenge von JSON Schema, die food.schema.json nutzt)
+// ==========================================
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function resolveRef(schema, ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], schema);
+}
+
+/**
+ * Prüft value gegen rules; onRef(ref, value, path) sieht jeden $ref-Knoten
+ */
+function validate(schema, rules, value, at, errors, onRef) {
+    if (rules.$ref) {
+        if (onRef) onRef(rules.$ref, value, at);
+        rules = Object.assign({}, resolveRef(schema, rules.$ref), rules, { $ref: undefined });
+    }
+    const fail = message => errors.push({ path: at || '/', message });
+    const type = typeOf(value);
+
+    if (rules.type && type !== rules.type && !(rules.type === 'number' && type === 'integer')) {
+        return fail(`erwartet ${rules.type}, gefunden ${type}`);
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        return fail(`"${value}" ist nicht erlaubt (${rules.enum.join(', ')})`);
+    }
+
+    if (type === 'number' || type === 'integer') {
+        if (rules.minimum !== undefined && value < rules.minimum) fail(`kleiner als ${rules.minimum}`);
+        if (rules.maximum !== undefined && value > rules.maximum) fail(`größer als ${rules.maximum}`);
+        if (rules.exclusiveMinimum !== undefined && value <= rules.exclusiveMinimum) {
+            fail(`muss größer als ${rules.exclusiveMinimum} sein`);
+        }
+    }
+
+    if (type === 'string') {
+        if (rules.minLength !== undefined && value.length < rules.minLength) fail('leer');
+        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+            fail(`"${value}" passt nicht zu ${rules.pattern}`);
+        }
+    }
+
+    if (type === 'array') {
+        if (rules.uniqueItems) {
+            const seen = value.map(item => JSON.stringify(item));
+            seen.forEach((item, i) => {
+                if (seen.indexOf(item) !== i) fail(`${item} doppelt`);
+            });
+        }
+        if (rules.items) {
+            value.forEach((item, i) => validate(schema, rules.items, item, `${at}/${i}`, errors, onRef));
+        }
+    }
+
+    if (type === 'object') {
+        const props = rules.properties || {};
+        (rules.required || []).forEach(key => {
+            if (!(key in value)) fail(`Pflichtfeld "${key}" fehlt`);
+        });
+        Object.keys(value).forEach(key => {
+            if (props[key]) {
+                validate(schema, props[key], value[key], `${at}/${key}`, errors, onRef);
+            } else if (rules.additionalProperties === false) {
+                errors.push({ path: `${at}/${key}`, message: 'unbekanntes Feld' });
+            } else if (typeof rules.additionalProperties === 'object') {
+                validate(schema, rules.additionalProperties, value[key], `${at}/${key}`, errors, onRef);
+            }
+        });
+    }
+}
+
+// ==========================================
+// CHECKS
+// ==========================================
+function loadEntries(file, report) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        report(null, 'error', `kein gültiges JSON: ${e.message}`);
+        return [];
+    }
+    return Array.isArray(data) ? data : [data];
+}
+
+function checkEntry(entry, schema, labels, report) {
+    const errors = [];
+    const untranslated = [];
+    validate(schema, schema, entry, '', errors, (ref, value, at) => {
+        if (ref === LOCALIZED_REF && typeOf(value) === 'object' && !value.en) untranslated.push(at);
+    });
+    errors.forEach(e => report('error', `${e.path}: ${e.message}`));
+    untranslated.forEach(at => report('warning', `${at}: keine englische Übersetzung`));
+
+    if (typeOf(entry) !== 'object') return;
+
+    (entry.swaps || []).forEach(id => {
+        if (id === entry.id) report('error', 'swaps: verweist auf sich selbst');
+    });
+    (entry.allergens || []).forEach(slug => {
+        if (typeof slug === 'string' && !labels.allergen[slug]) {
+            report('error', `allergens: "${slug}" ist kein bekanntes Allergen`);
+        }
+    });
+
+    const n = entry.nutrition || {};
+    const macros = ['protein_g', 'fat_g', 'carbs_g'].reduce((sum, key) =>
+        sum + (typeof n[key] === 'number' ? n[key] : 0), 0);
+    if (macros > MAX_MACROS_G) {
+        report('error', `nutrition: Eiweiß + Fett + Kohlenhydrate = ${Math.round(macros * 10) / 10} g je 100 g`);
+    }
+
+    const categories = schema.properties.category.enum;
+    if (categories.includes(entry.category) && !labels.category[entry.category]) {
+        report('warning', `category: "${entry.category}" hat keine Beschriftung in ui.de.json`);
+    }
+    (entry.tags || []).forEach(tag => {
+        if (!labels.tag[tag]) report('warning', `tags: "${tag}" hat keine Beschriftung in ui.de.json`);
+    });
+    (n.micros || []).forEach(micro => {
+        if (!labels.micro[micro]) report('warning', `micros: "${micro}" hat keine Beschriftung in ui.de.json`);
+    });
+}
+
+/**
+ * Verweise zwischen Einträgen: doppelte ids, swaps ins Leere
+ */
+function checkReferences(items) {
+    const byId = new Map();
+    items.forEach(item => {
+        const id = item.entry && item.entry.id;
+        if (typeof id !== 'string') return;
+        if (byId.has(id)) {
+            const first = byId.get(id);
+            item.report('error', `id doppelt vergeben (schon in ${first.file}, Eintrag ${first.index + 1})`);
+        } else {
+            byId.set(id, item);
+        }
+    });
+
+    items.forEach(item => {
+        const swaps = item.entry && Array.isArray(item.entry.swaps) ? item.entry.swaps : [];
+        swaps.forEach(id => {
+            if (id !== item.entry.id && !byId.has(id)) item.report('error', `swaps: unbekannte id "${id}"`);
+        });
+    });
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+function run(args) {
+    const strict = args.includes('--strict');
+    const targets = args.filter(arg => !arg.startsWith('--'));
+    const files = [];
+    (targets.length > 0 ? targets.map(t => path.resolve(ROOT, t)) : [DATA_DIR]).forEach(target => {
+        if (!fs.existsSync(target)) {
+            console.error(`Nicht gefunden: ${target}`);
+            return;
+        }
+        if (fs.statSync(target).isDirectory()) files.push(...collectFiles(target, /\.json$/i));
+        else files.push(target);
+    });
+    if (files.length === 0) return 1;
+
+    const schema = JSON.parse(fs.readFileSync(FOOD_SCHEMA, 'utf8'));
+    const ui = JSON.parse(fs.readFileSync(UI_STRINGS, 'utf8'));
+    const labels = {
+        allergen: ui.allergen || {},
+        category: ui.category || {},
+        tag: ui.tag || {},
+        micro: ui.micro || {}
+    };
+
+    const findings = [];
+    const items = [];
+    files.forEach(file => {
+        const rel = relativePath(file);
+        const fileReport = (label, level, message) =>
+            findings.push({ file: rel, level, message: label ? `${label}: ${message}` : message });
+
+        loadEntries(file, fileReport).forEach((entry, index) => {
+            const label = entry && typeof entry.id === 'string' ? entry.id : `Eintrag ${index + 1}`;
+            const report = (level, message) => fileReport(label, level, message);
+            checkEntry(entry, schema, labels, report);
+            items.push({ file: rel, index, entry, report });
+        });
+    });
+    checkReferences(items);
+
+    // ---- Ausgabe ----------------------------------------------------
+    // Verweisfehler kommen zuletzt dazu; nach Datei sortieren (stabil)
+    const order = files.map(relativePath);
+    findings.sort((a, b) => order.indexOf(a.file) - order.indexOf(b.file));
+
+    let currentFile = null;
+    findings.forEach(f => {
+        if (f.file !== currentFile) {
+            currentFile = f.file;
+            console.log(`\n${f.file}`);
+        }
+        console.log(`  ${f.level === 'error' ? '✖' : '⚠'} ${f.message}`);
+    });
+
+    const errors = findings.filter(f => f.level === 'error').length;
+    const warnings = findings.length - errors;
+    console.log(`\n${items.length} Einträge in ${files.length} ${files.length === 1 ? 'Datei' : 'Dateien'} geprüft: ${errors} Fehler, ${warnings} Warnungen`);
+
+    return errors > 0 || (strict && warnings > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run, validate, checkEntry, checkReferences };
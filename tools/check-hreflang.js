@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * SPRACHVERSIONEN PRÜFEN (hreflang)
+ * ==========================================
+ * Der Sprachumschalter der Ernährungsseite (nutrition/assets/js/i18n.js)
+ * verlässt sich allein auf <link rel="alternate" hreflang="…"> im <head>.
+ * Dieses Skript prüft diese Verknüpfungen und vergleicht die Sprachfassungen:
+ *
+ *   Fehler   - alternate-Ziel existiert nicht
+ *            - Ziel verweist nicht zurück (hreflang muss gegenseitig sein;
+ *              ein Verweis auf die Startseite als Platzhalter zählt nicht)
+ *            - hreflang passt nicht zu <html lang> der Zielseite
+ *            - dieselbe Sprache mehrfach angegeben
+ *   Warnung  - Seite ohne alternate auf sich selbst
+ *            - Abschnittsstruktur zweier Sprachfassungen weicht ab
+ *              (Anzahl der <section>-Blöcke, Überschriften, Ausklapper,
+ *              Karten, Tabellen, Bilder je Abschnitt)
+ *   Bericht  - deutsche Seiten ohne Gegenstück je Sprache
+ *
+ * Aufruf (ohne Abhängigkeiten, nur Node.js):
+ *
+ *   node tools/check-hreflang.js                 Ordner nutrition/
+ *   node tools/check-hreflang.js anderer/ordner  anderer Seitenbaum
+ *   node tools/check-hreflang.js --strict        Warnungen zählen als Fehler
+ *
+ * Tool-Seiten (<html data-tool-page>) sind eine Datei für alle Sprachen
+ * und werden übersprungen.
+ *
+ * Absolute Pfade (/de/…) gelten relativ zum geprüften Ordner, weil er als
+ * eigene Subdomain ausgeliefert wird. Beendet sich mit Code 1, wenn Fehler
+ * gefunden wurden.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, collectFiles, relativePath } = require('./site-tree');
+
+const DEFAULT_DIR = 'nutrition';
+const REFERENCE_LANG = 'de';
+
+const EXTERNAL = /^([a-z][a-z0-9+.-]*:|\/\/)/i;
+
+// Bausteine, deren Anzahl je Abschnitt in allen Sprachen gleich sein sollte
+const STRUCTURE = {
+    h2: /<h2\b/gi,
+    h3: /<h3\b/gi,
+    why: /class=["'][^"']*\bwhy\b/gi,
+    note: /class=["'][^"']*\bnote\b/gi,
+    card: /class=["'][^"']*\bcard\b/gi,
+    stage: /class=["'][^"']*\bstage\b/gi,
+    table: /<table\b/gi,
+    img: /<(img|svg)\b/gi
+};
+
+// ==========================================
+// HTML HELPERS
+// ==========================================
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1].trim() : null;
+}
+
+function documentLang(html) {
+    const match = html.match(/<html\b[^>]*>/i);
+    return match ? (attribute(match[0], 'lang') || '').toLowerCase() : '';
+}
+
+function isToolPage(html) {
+    const match = html.match(/<html\b[^>]*>/i);
+    return Boolean(match && /\sdata-tool-page\b/i.test(match[0]));
+}
+
+function alternates(html) {
+    const head = (html.match(/<head\b[\s\S]*?<\/head>/i) || [html])[0]
+        .replace(/<!--[\s\S]*?-->/g, '');
+    const links = [];
+    (head.match(/<link\b[^>]*>/gi) || []).forEach(tag => {
+        const rel = (attribute(tag, 'rel') || '').toLowerCase().split(/\s+/);
+        const lang = attribute(tag, 'hreflang');
+        const href = attribute(tag, 'href');
+        if (rel.includes('alternate') && lang && href) {
+            links.push({ lang: lang.toLowerCase(), href });
+        }
+    });
+    return links;
+}
+
+/**
+ * Top-level <section> blocks (nested sections belong to their parent)
+ */
+function sections(html) {
+    const body = html.replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '');
+    const pattern = /<(\/?)section\b[^>]*>/gi;
+    const found = [];
+    let depth = 0;
+    let start = null;
+    let open = null;
+    let match;
+
+    while ((match = pattern.exec(body)) !== null) {
+        if (!match[1]) {
+            if (depth === 0) {
+                start = match.index;
+                open = match[0];
+            }
+            depth++;
+        } else if (depth > 0) {
+            depth--;
+            if (depth === 0) {
+                found.push({
+                    name: attribute(open, 'id') || attribute(open, 'class') || `#${found.length + 1}`,
+                    html: body.slice(start, pattern.lastIndex)
+                });
+            }
+        }
+    }
+    return found;
+}
+
+function signature(section) {
+    const counts = {};
+    Object.keys(STRUCTURE).forEach(key => {
+        counts[key] = (section.html.match(STRUCTURE[key]) || []).length;
+    });
+    return counts;
+}
+
+// ==========================================
+// CHECKS
+// ==========================================
+/**
+ * Repository path an alternate points to, or null for external URLs
+ */
+function resolveHref(siteDir, relPath, href) {
+    let target = href.split(/[?#]/)[0];
+    if (EXTERNAL.test(target)) return null;
+    try {
+        target = decodeURIComponent(target);
+    } catch (e) {
+        // Kaputte Kodierung: so prüfen, wie es dasteht
+    }
+    const base = target.startsWith('/') ? siteDir : path.dirname(path.join(ROOT, relPath));
+    let file = path.join(base, target.replace(/^\//, ''));
+    if (target === '' || target.endsWith('/')) file = path.join(file, 'index.html');
+    return relativePath(file);
+}
+
+function checkAlternates(page, pages, siteDir, report) {
+    const seen = new Set();
+    let hasSelf = false;
+
+    page.alternates.forEach(alt => {
+        if (seen.has(alt.lang)) report('error', `hreflang="${alt.lang}" mehrfach angegeben`);
+        seen.add(alt.lang);
+
+        const target = resolveHref(siteDir, page.file, alt.href);
+        if (target === null) {
+            report('warning', `hreflang="${alt.lang}": externe Adresse nicht prüfbar (${alt.href})`);
+            return;
+        }
+        if (target === page.file) {
+            hasSelf = true;
+            if (alt.lang !== page.lang) {
+                report('error', `hreflang="${alt.lang}" auf sich selbst, aber <html lang="${page.lang}">`);
+            }
+            return;
+        }
+
+        const other = pages.get(target);
+        if (!other) {
+            report('error', `hreflang="${alt.lang}": Ziel fehlt (${alt.href})`);
+            return;
+        }
+        if (other.lang !== alt.lang) {
+            report('error', `hreflang="${alt.lang}": ${target} hat <html lang="${other.lang || '?'}">`);
+        }
+        const back = other.alternates.some(b =>
+            b.lang === page.lang && resolveHref(siteDir, other.file, b.href) === page.file);
+        if (back) {
+            page.counterparts[alt.lang] = other;
+        } else {
+            report('error', `hreflang="${alt.lang}": ${target} verweist nicht zurück auf diese Seite`);
+        }
+    });
+
+    if (!hasSelf) report('warning', `Kein alternate auf sich selbst (hreflang="${page.lang}")`);
+}
+
+function checkParity(page, other, report) {
+    const ours = sections(page.html);
+    const theirs = sections(other.html);
+    const label = `${page.lang} ↔ ${other.lang} (${other.file})`;
+
+    if (ours.length !== theirs.length) {
+        report('warning', `${label}: ${ours.length} ↔ ${theirs.length} Abschnitte`);
+    }
+    for (let i = 0; i < Math.min(ours.length, theirs.length); i++) {
+        const a = signature(ours[i]);
+        const b = signature(theirs[i]);
+        const diffs = Object.keys(a).filter(key => a[key] !== b[key])
+            .map(key => `${key} ${a[key]} ↔ ${b[key]}`);
+        if (diffs.length > 0) {
+            report('warning', `${label}: Abschnitt ${i + 1} (${ours[i].name} ↔ ${theirs[i].name}) ` +
+                `weicht ab – ${diffs.join(', ')}`);
+            // Ab der ersten Abweichung sind die Paare meist nur verschoben
+            break;
+        }
+    }
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+function run(args) {
+    const strict = args.includes('--strict');
+    const target = args.filter(arg => !arg.startsWith('--'))[0] || DEFAULT_DIR;
+    const siteDir = path.resolve(ROOT, target);
+    if (!fs.existsSync(siteDir) || !fs.statSync(siteDir).isDirectory()) {
+        console.error(`Nicht gefunden: ${siteDir}`);
+        return 1;
+    }
+
+    const pages = new Map();
+    collectFiles(siteDir, /\.html?$/i).forEach(file => {
+        const html = fs.readFileSync(file, 'utf8');
+        if (isToolPage(html)) return;
+        const relPath = relativePath(file);
+        pages.set(relPath, {
+            file: relPath,
+            html,
+            lang: documentLang(html),
+            alternates: alternates(html),
+            counterparts: {}
+        });
+    });
+
+    const findings = [];
+    pages.forEach(page => {
+        const report = (level, message) => findings.push({ file: page.file, level, message });
+        checkAlternates(page, pages, siteDir, report);
+    });
+
+    // Jedes Paar nur einmal vergleichen, aus Sicht der deutschen Fassung
+    pages.forEach(page => {
+        const report = (level, message) => findings.push({ file: page.file, level, message });
+        Object.keys(page.counterparts).forEach(lang => {
+            const other = page.counterparts[lang];
+            if (page.lang === REFERENCE_LANG || (other.lang !== REFERENCE_LANG && page.file < other.file)) {
+                checkParity(page, other, report);
+            }
+        });
+    });
+
+    // ---- Ausgabe ----------------------------------------------------
+    let currentFile = null;
+    findings.forEach(f => {
+        if (f.file !== currentFile) {
+            currentFile = f.file;
+            console.log(`\n${f.file}`);
+        }
+        console.log(`  ${f.level === 'error' ? '✖' : '⚠'} ${f.message}`);
+    });
+
+    const languages = [...new Set([...pages.values()].map(p => p.lang))]
+        .filter(lang => lang && lang !== REFERENCE_LANG).sort();
+    const reference = [...pages.values()].filter(p => p.lang === REFERENCE_LANG);
+    languages.forEach(lang => {
+        const untranslated = reference.filter(p => !p.counterparts[lang]);
+        console.log(`\nOhne Gegenstück (${lang}): ${untranslated.length} von ${reference.length} deutschen Seiten`);
+        untranslated.forEach(p => console.log(`  - ${p.file}`));
+    });
+
+    const errors = findings.filter(f => f.level === 'error').length;
+    const warnings = findings.length - errors;
+    console.log(`\n${pages.size} Seiten geprüft: ${errors} Fehler, ${warnings} Warnungen`);
+
+    return errors > 0 || (strict && warnings > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run, alternates, sections, checkAlternates, checkParity };
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * SEITEN PRÜFEN (vor dem Push)
+ * ==========================================
+ * Prüft alle HTML-Seiten auf die Regeln aus der README:
+ *
+ *   Fehler   - weder Standard-Navbar noch controls.js (Impressum + Zurück
+ *              wären nicht garantiert erreichbar)
+ *            - übrig gebliebene "TODO:"-Markierungen aus den Vorlagen
+ *            - relative Links/Quellen (PDFs, Bilder, Seiten …), deren Ziel
+ *              im Repository nicht existiert
+ *   Warnung  - Ordner- oder Dateinamen mit Umlauten, Leerzeichen oder
+ *              anderen Sonderzeichen
+ *            - Navbar ohne Impressum-Link (und kein controls.js)
+ *            - fehlendes Ziel an einem Element mit data-pending (Datei oder
+ *              Seite ist angekündigt, aber noch nicht hochgeladen)
+ *
+ * Die Ernährungsseite (nutrition/) hat einen eigenen Kopf und Fuß mit
+ * Impressum; dort entfällt nur die Navbar-Regel, Links werden geprüft.
+ *
+ * Aufruf (ohne Abhängigkeiten, nur Node.js):
+ *
+ *   node tools/check-pages.js                 ganzes Repository
+ *   node tools/check-pages.js informatik/12   nur dieser Ordner
+ *   node tools/check-pages.js --strict        Warnungen zählen als Fehler
+ *
+ * Beendet sich mit Code 1, wenn Fehler gefunden wurden.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, collectFiles, relativePath } = require('./site-tree');
+
+// Kopiervorlagen enthalten TODO-Markierungen absichtlich
+const SKIP_DIRS = ['templates', 'node_modules'];
+// Teilseiten mit eigenem Rahmen statt Navbar/controls.js
+const OWN_FRAME_DIRS = ['nutrition'];
+
+const SITE_URL = /^https?:\/\/(www\.)?edu-mrh\.de\//i;
+const EXTERNAL = /^([a-z][a-z0-9+.-]*:|\/\/|#)/i;
+const SAFE_NAME = /^[A-Za-z0-9._-]+$/;
+
+// ==========================================
+// HTML HELPERS
+// ==========================================
+// Keeps only the line breaks, so reported line numbers stay correct
+function blank(text) {
+    return text.replace(/[^\n]/g, '');
+}
+
+/**
+ * Blanks the content of blocks that only hold example code for students
+ * (scripts, <pre>, <code>, <textarea>) - their links and TODOs are intended
+ */
+function stripCode(html) {
+    return html.replace(/(<(script|style|pre|code|textarea)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi,
+        (match, open, tag, content, close) => open + blank(content) + close);
+}
+
+/**
+ * Additionally blanks comments (commented-out template blocks)
+ */
+function stripInactive(html) {
+    return stripCode(html).replace(/<!--[\s\S]*?-->/g, blank);
+}
+
+function lineOf(html, index) {
+    return html.slice(0, index).split('\n').length;
+}
+
+// ==========================================
+// CHECKS
+// ==========================================
+function checkNavigation(html, report) {
+    const active = stripInactive(html);
+    const hasControls = /<script\b[^>]*src=["'][^"']*controls\.js["']/i.test(active);
+    const navbar = active.match(/<nav\b[^>]*class=["'][^"']*\bnavbar\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/i);
+
+    if (!navbar && !hasControls) {
+        report('error', 'Weder Standard-Navbar noch controls.js – Impressum/Zurück nicht garantiert');
+    } else if (navbar && !hasControls && !/impressum/i.test(navbar[1])) {
+        report('warning', 'Navbar ohne Impressum-Link (und kein controls.js)');
+    }
+}
+
+// Template TODOs usually sit in comments, so only code blocks are skipped
+function checkTodos(html, report) {
+    const active = stripCode(html);
+    const lines = html.split('\n');
+    const pattern = /TODO:/g;
+    let match;
+    while ((match = pattern.exec(active)) !== null) {
+        const line = lineOf(active, match.index);
+        report('error', `TODO-Markierung: ${lines[line - 1].trim().slice(0, 80)}`, line);
+    }
+}
+
+function checkLinks(relPath, html, report) {
+    const active = stripInactive(html);
+    const pattern = /\b(href|src)\s*=\s*["']([^"']+)["']/gi;
+    const dir = path.dirname(path.join(ROOT, relPath));
+    let match;
+
+    while ((match = pattern.exec(active)) !== null) {
+        let target = match[2].trim();
+        if (!target || target.includes('${') || target.includes('{{')) continue;
+
+        let base = dir;
+        if (SITE_URL.test(target)) {
+            target = target.replace(SITE_URL, '/');
+            // Gemeinsame Bausteine liegen nicht in diesem Repository
+            if (target.startsWith('/embed/')) continue;
+        } else if (EXTERNAL.test(target)) {
+            continue;
+        }
+        if (target.startsWith('/')) {
+            base = ROOT;
+            target = target.slice(1);
+        }
+
+        let file = target.split(/[?#]/)[0];
+        if (!file) continue;
+        try {
+            file = decodeURIComponent(file);
+        } catch (e) {
+            // Kaputte Kodierung: so prüfen, wie es dasteht
+        }
+
+        if (!exists(path.join(base, file))) {
+            const tag = active.slice(active.lastIndexOf('<', match.index), active.indexOf('>', match.index));
+            if (/\sdata-pending\b/i.test(tag)) {
+                report('warning', `Ziel folgt noch (data-pending): ${match[2]}`, lineOf(active, match.index));
+            } else {
+                report('error', `Ziel fehlt: ${match[2]}`, lineOf(active, match.index));
+            }
+        }
+    }
+}
+
+// File names with umlauts may be stored decomposed (macOS) or composed
+function exists(file) {
+    return fs.existsSync(file) ||
+        fs.existsSync(file.normalize('NFC')) ||
+        fs.existsSync(file.normalize('NFD'));
+}
+
+function checkNames(relPath, report, seen) {
+    const segments = relPath.split('/');
+    segments.forEach((segment, i) => {
+        const partial = segments.slice(0, i + 1).join('/');
+        if (seen.has(partial) || SAFE_NAME.test(segment)) return;
+        seen.add(partial);
+        const kind = i < segments.length - 1 ? 'Ordnername' : 'Dateiname';
+        report('warning', `${kind} mit Umlaut/Leerzeichen/Sonderzeichen: ${partial}`);
+    });
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+function run(args) {
+    const strict = args.includes('--strict');
+    const targets = args.filter(arg => !arg.startsWith('--'));
+    const roots = targets.length > 0 ? targets.map(t => path.resolve(ROOT, t)) : [ROOT];
+
+    const files = [];
+    roots.forEach(dir => {
+        const stat = fs.existsSync(dir) ? fs.statSync(dir) : null;
+        if (!stat) {
+            console.error(`Nicht gefunden: ${dir}`);
+            return;
+        }
+        (stat.isDirectory() ? collectFiles(dir) : [dir]).forEach(file => {
+            const relPath = relativePath(file);
+            if (SKIP_DIRS.some(skip => relPath === skip || relPath.startsWith(`${skip}/`))) return;
+            files.push(relPath);
+        });
+    });
+
+    const findings = [];
+    const seenNames = new Set();
+
+    files.forEach(relPath => {
+        const report = (level, message, line) => findings.push({ file: relPath, level, message, line });
+
+        checkNames(relPath, report, seenNames);
+        if (!/\.html?$/i.test(relPath)) return;
+
+        const html = fs.readFileSync(path.join(ROOT, relPath), 'utf8');
+        if (!OWN_FRAME_DIRS.some(dir => relPath.startsWith(`${dir}/`))) checkNavigation(html, report);
+        checkTodos(html, report);
+        checkLinks(relPath, html, report);
+    });
+
+    // ---- Ausgabe ----------------------------------------------------
+    let currentFile = null;
+    findings.forEach(f => {
+        if (f.file !== currentFile) {
+            currentFile = f.file;
+            console.log(`\n${f.file}`);
+        }
+        const icon = f.level === 'error' ? '✖' : '⚠';
+        console.log(`  ${icon} ${f.line ? `Zeile ${f.line}: ` : ''}${f.message}`);
+    });
+
+    const errors = findings.filter(f => f.level === 'error').length;
+    const warnings = findings.length - errors;
+    console.log(`\n${files.filter(f => /\.html?$/i.test(f)).length} Seiten geprüft: ` +
+        `${errors} Fehler, ${warnings} Warnungen`);
+
+    return errors > 0 || (strict && warnings > 0) ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run, checkNavigation, checkTodos, checkLinks, checkNames };
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+/**
+ * ==========================================
+ * DATENSCHUTZ-ZUSAGE PRÜFEN (Ernährungsseite)
+ * ==========================================
+ * profile.schema.json verspricht: Das Profil ("ews-profile") verlässt den
+ * Browser nie – nur als Datei, die jemand selbst exportiert. Dieses Skript
+ * ist der Test dafür und besteht aus zwei Teilen:
+ *
+ *   Quelltext  - kein XMLHttpRequest, sendBeacon, WebSocket, EventSource,
+ *                Zählpixel (new Image) oder form.submit() in nutrition/
+ *              - fetch() nur mit einer Adresse (also GET ohne Body) und
+ *                ohne Profil- oder localStorage-Daten darin
+ *              - keine Formulare mit action/method="post", keine Skripte,
+ *                Stylesheets, Bilder oder iframes von fremden Servern
+ *   Laufzeit   - assets/js/profile.js läuft in einer Node-Sandbox mit einem
+ *                vollständig ausgefüllten Testprofil: speichern, ändern,
+ *                exportieren, importieren (inkl. Migration alter Stände),
+ *                alles löschen. Jeder Netzwerkzugriff wird mitgeschnitten;
+ *                erlaubt ist nur das GET auf das Schema. Außerdem darf nur
+ *                unter "ews-profile" gespeichert werden – und gar nichts,
+ *                solange das Schema nicht geladen werden konnte.
+ *
+ * Aufruf (ohne Abhängigkeiten, nur Node.js):
+ *
+ *   node tools/check-privacy.js
+ *
+ * Beendet sich mit Code 1, wenn eine Regel verletzt ist.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { ROOT, collectFiles, relativePath } = require('./site-tree');
+
+const SITE_DIR = path.join(ROOT, 'nutrition');
+const PROFILE_SCRIPT = path.join(SITE_DIR, 'assets', 'js', 'profile.js');
+const PROFILE_SCHEMA = path.join(SITE_DIR, 'schemas', 'profile.schema.json');
+
+const SENTINEL = 'privacy-sentinel-7f3a';
+const SITE_URL = 'https://ernaehrung.test/';
+
+// Alles, womit ein Skript Daten aus dem Browser schicken könnte
+const FORBIDDEN_JS = [
+    { pattern: /\bXMLHttpRequest\b/, message: 'XMLHttpRequest' },
+    { pattern: /\bsendBeacon\b/, message: 'navigator.sendBeacon' },
+    { pattern: /\bWebSocket\b/, message: 'WebSocket' },
+    { pattern: /\bEventSource\b/, message: 'EventSource' },
+    { pattern: /\bRTCPeerConnection\b/, message: 'RTCPeerConnection' },
+    { pattern: /\bimportScripts\b/, message: 'importScripts' },
+    { pattern: /new\s+Image\s*\(/, message: 'new Image() (Zählpixel)' },
+    { pattern: /\.submit\s*\(/, message: 'form.submit()' }
+];
+
+// Testprofil: jedes Feld des Schemas ausgefüllt, Freitext mit Markierung
+const FIXTURE = {
+    version: 1,
+    lang: 'de',
+    stage: 2,
+    body: { age_years: 16, height_cm: 172, weight_kg: 61.5, sex_for_calculation: 'f' },
+    activity: { daily_level: 'aktiv', sport_sessions_per_week: 3, sport_focus: 'ausdauer' },
+    goals: ['mehr-energie', 'guenstiger-essen'],
+    constraints: {
+        diet_pattern: 'vegetarisch',
+        allergens_avoid: ['schalenfruechte'],
+        medical_flags: ['zoeliakie'],
+        budget_tier: 1,
+        cooking_skill: 'anfaenger',
+        weekday_minutes: 20,
+        household_size: 2,
+        equipment: ['herd', 'mikrowelle']
+    },
+    food_marks: { like: ['rote-linsen', SENTINEL], curious: ['skyr-natur'], avoid: [] },
+    habits: [{
+        week: '2026-W27',
+        veg_days: 4,
+        cooked_meals: 6,
+        protein_answered_days: 5,
+        tried_new_food: true,
+        note: `Notiz ${SENTINEL}`
+    }]
+};
+
+// ==========================================
+// QUELLTEXT
+// ==========================================
+function stripComments(code) {
+    return code
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/(^|[^:'"\\])\/\/.*$/gm, '$1');
+}
+
+/**
+ * Argumente jedes fetch(...)-Aufrufs, auf oberster Ebene getrennt
+ */
+function fetchCalls(code) {
+    const calls = [];
+    const pattern = /\bfetch\s*\(/g;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+        let quote = null;
+        for (let i = pattern.lastIndex; i < code.length; i++) {
+            const ch = code[i];
+            if (quote) {
+                if (ch === quote && code[i - 1] !== '\\') quote = null;
+            } else if (ch === '"' || ch === "'" || ch === '`') {
+                quote = ch;
+            } else if ('([{'.includes(ch)) {
+                depth++;
+            } else if (')]}'.includes(ch)) {
+                if (depth === 0) break;
+                depth--;
+            } else if (ch === ',' && depth === 0) {
+                args.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += ch;
+        }
+        args.push(current.trim());
+        calls.push({ line: code.slice(0, match.index).split('\n').length, args });
+    }
+    return calls;
+}
+
+function checkScript(code, report) {
+    const lines = stripComments(code).split('\n');
+    lines.forEach((line, i) => {
+        FORBIDDEN_JS.forEach(rule => {
+            if (rule.pattern.test(line)) report(`Zeile ${i + 1}: ${rule.message}`);
+        });
+    });
+
+    fetchCalls(lines.join('\n')).forEach(call => {
+        if (call.args.length > 1) {
+            report(`Zeile ${call.line}: fetch() mit Optionen – nur GET ohne Body ist erlaubt`);
+        }
+        if (/profile|localStorage|ews-/i.test(call.args[0])) {
+            report(`Zeile ${call.line}: fetch()-Adresse enthält Profil- oder Speicherdaten`);
+        }
+    });
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? match[1].trim() : null;
+}
+
+function isForeign(url) {
+    return /^(https?:)?\/\//i.test(url || '');
+}
+
+function checkPage(html, report) {
+    const markup = html.replace(/<!--[\s\S]*?-->/g, '');
+
+    (markup.match(/<form\b[^>]*>/gi) || []).forEach(tag => {
+        if (attribute(tag, 'action') !== null || /^post$/i.test(attribute(tag, 'method') || '')) {
+            report('Formular mit action/method="post" schickt Eingaben an einen Server');
+        }
+    });
+
+    (markup.match(/<(script|img|iframe|source)\b[^>]*>/gi) || []).forEach(tag => {
+        const src = attribute(tag, 'src');
+        if (isForeign(src)) report(`lädt von fremdem Server: ${src}`);
+    });
+
+    (markup.match(/<link\b[^>]*>/gi) || []).forEach(tag => {
+        const rel = (attribute(tag, 'rel') || '').toLowerCase();
+        const href = attribute(tag, 'href');
+        if (rel !== 'alternate' && rel !== 'canonical' && isForeign(href)) {
+            report(`<link rel="${rel}"> lädt von fremdem Server: ${href}`);
+        }
+    });
+
+    (markup.match(/<script\b[^>]*>[\s\S]*?<\/script>/gi) || []).forEach(block => {
+        checkScript(block.replace(/^<script\b[^>]*>|<\/script>$/gi, ''), report);
+    });
+}
+
+// ==========================================
+// LAUFZEIT (profile.js in einer Sandbox)
+// ==========================================
+function createStorage(log) {
+    const items = new Map();
+    return {
+        get length() { return items.size; },
+        key: i => [...items.keys()][i] || null,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            log.push({ key, value: String(value) });
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key)
+    };
+}
+
+function createSandbox(schema) {
+    const network = [];
+    const writes = [];
+    const downloads = [];
+    const trap = name => function () {
+        network.push({ api: name, args: [...arguments].map(String) });
+        throw new Error(`${name} ist gesperrt`);
+    };
+
+    const sandbox = {
+        console,
+        Promise,
+        JSON,
+        Blob: function (parts) { this.text = parts.join(''); },
+        URL: {
+            createObjectURL: blob => {
+                downloads.push(blob.text);
+                return 'blob:profil';
+            },
+            revokeObjectURL: () => {}
+        },
+        setTimeout: fn => fn(),
+        localStorage: createStorage(writes),
+        fetch: (url, init) => {
+            network.push({ api: 'fetch', args: [String(url)], init });
+            return Promise.resolve({ ok: schema !== null, json: () => Promise.resolve(schema) });
+        },
+        XMLHttpRequest: trap('XMLHttpRequest'),
+        WebSocket: trap('WebSocket'),
+        EventSource: trap('EventSource'),
+        Image: trap('Image'),
+        navigator: { sendBeacon: trap('sendBeacon') },
+        document: {
+            currentScript: { src: `${SITE_URL}assets/js/profile.js` },
+            addEventListener: () => {},
+            body: { appendChild: () => {} },
+            createElement: () => ({ click() {}, remove() {} })
+        }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(fs.readFileSync(PROFILE_SCRIPT, 'utf8'), sandbox, { filename: PROFILE_SCRIPT });
+    return { Profile: sandbox.Profile, storage: sandbox.localStorage, network, writes, downloads };
+}
+
+async function checkProfileModule(report) {
+    const schema = JSON.parse(fs.readFileSync(PROFILE_SCHEMA, 'utf8'));
+    const { Profile, storage, network, writes, downloads } = createSandbox(schema);
+    const rejected = text => Profile.importText(text).then(() => false, () => true);
+
+    await Profile.ready;
+
+    const fixtureErrors = Profile.validate(FIXTURE);
+    if (fixtureErrors.length > 0) {
+        report(`Testprofil passt nicht mehr zum Schema (${fixtureErrors.map(e => e.path).join(', ')}) – FIXTURE anpassen`);
+        return;
+    }
+
+    // Speichern, ändern, exportieren
+    await Profile.save(FIXTURE);
+    await Profile.update(profile => { profile.stage = 3; });
+    Profile.exportFile();
+    if (downloads.length !== 1 || JSON.parse(downloads[0]).stage !== 3) {
+        report('Export enthält nicht das gespeicherte Profil');
+    }
+
+    // Importieren: gültig, alter Stand (ohne version), ungültig, zu neu
+    if (await rejected(downloads[0])) report('Export lässt sich nicht wieder importieren');
+    const legacy = JSON.parse(JSON.stringify(FIXTURE));
+    delete legacy.version;
+    legacy.food_marks.curious.push('rote-linsen');
+    if (await rejected(JSON.stringify(legacy))) {
+        report('Profil ohne version wird nicht migriert');
+    } else if (Profile.read().food_marks.curious.includes('rote-linsen')) {
+        report('Migration 0 → 1 entfernt doppelte Markierungen nicht');
+    }
+    if (!(await rejected(JSON.stringify(Object.assign({}, FIXTURE, { tracking_id: SENTINEL }))))) {
+        report('Import nimmt unbekannte Felder an');
+    }
+    if (!(await rejected(JSON.stringify(Object.assign({}, FIXTURE, { version: Profile.VERSION + 1 }))))) {
+        report('Import nimmt Profile aus einer neueren Version an');
+    }
+
+    // Alles löschen: jeder "ews-"-Schlüssel, fremde Schlüssel bleiben
+    storage.setItem('ews-lang', 'en');
+    storage.setItem('fremder-schluessel', 'bleibt');
+    Profile.wipe();
+    if (storage.getItem('ews-profile') !== null || storage.getItem('ews-lang') !== null) {
+        report('"Alles löschen" lässt ews-Daten im Browser zurück');
+    }
+    if (storage.getItem('fremder-schluessel') === null) {
+        report('"Alles löschen" entfernt auch fremde Schlüssel');
+    }
+
+    // Ohne Schema wird nichts gespeichert
+    const offline = createSandbox(null);
+    const stored = await offline.Profile.save(FIXTURE).then(() => true, () => false);
+    if (stored || offline.storage.getItem(offline.Profile.KEY) !== null) {
+        report('Profil wird gespeichert, obwohl das Schema nicht geladen werden konnte');
+    }
+    network.push(...offline.network);
+
+    // Die eigentliche Zusage
+    const schemaUrl = `${SITE_URL}schemas/profile.schema.json`;
+    network.forEach(call => {
+        const allowed = call.api === 'fetch' && call.args[0] === schemaUrl && call.init === undefined;
+        const label = `${call.api}(${call.args.join(', ').slice(0, 80)})`;
+        if (call.args.some(arg => arg.includes(SENTINEL))) {
+            report(`Profildaten im Netzwerkzugriff: ${label}`);
+        } else if (!allowed) {
+            report(`Netzwerkzugriff: ${label}`);
+        }
+    });
+    writes.filter(w => w.value.includes(SENTINEL) && w.key !== Profile.KEY).forEach(w => {
+        report(`Profildaten unter fremdem Schlüssel gespeichert: ${w.key}`);
+    });
+}
+
+// ==========================================
+// MAIN
+// ==========================================
+async function run() {
+    const findings = [];
+    const reporter = file => message => findings.push({ file, message });
+
+    const files = collectFiles(SITE_DIR, /\.(js|html?)$/i);
+    files.forEach(file => {
+        const content = fs.readFileSync(file, 'utf8');
+        const report = reporter(relativePath(file));
+        if (file.endsWith('.js')) checkScript(content, report);
+        else checkPage(content, report);
+    });
+
+    await checkProfileModule(reporter(relativePath(PROFILE_SCRIPT)));
+
+    let currentFile = null;
+    findings.forEach(f => {
+        if (f.file !== currentFile) {
+            currentFile = f.file;
+            console.log(`\n${f.file}`);
+        }
+        console.log(`  ✖ ${f.message}`);
+    });
+    console.log(`\n${files.length} Dateien und profile.js geprüft: ${findings.length} Verstöße`);
+
+    return findings.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    run().then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { run, checkScript, checkPage, fetchCalls };
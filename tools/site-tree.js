@@ -0,0 +1,156 @@
+/**
+ * ==========================================
+ * ORDNERSTRUKTUR DES PORTALS
+ * ==========================================
+ * Gemeinsame Helfer für die Node-Skripte in tools/: welche Ordner Fächer
+ * sind, wie sie heißen, und einfache HTML-Auswertung ohne Abhängigkeiten.
+ *
+ * Konvention (README): <fach>/<jahrgangsstufe>/<thema>/<thema>.html
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Ordnername → Fach. Reihenfolge = Reihenfolge der Karten auf der Startseite.
+// page: Fachseite (relativ zur Wurzel), description: Text der Startseiten-Karte
+const SUBJECTS = {
+    informatik: {
+        name: 'Informatik',
+        icon: '💻',
+        page: 'informatik/informatik.html',
+        description: 'Lehrplaninhalte für alle Jahrgangsstufen von NuT 6 bis zur Oberstufe Klasse 13.'
+    },
+    physik: {
+        name: 'Physik',
+        icon: '⚛️',
+        page: 'physik/physik.html',
+        description: 'Materialien zur klassischen Mechanik, Elektrizitätslehre und moderner Quantenphysik.'
+    },
+    englisch: {
+        name: 'Englisch',
+        icon: '🇬🇧',
+        page: 'englisch/englisch.html',
+        description: 'Vokabeltraining, Grammatik-Units und Literaturanalysen für die Mittel- und Oberstufe.'
+    },
+    franzoesisch: {
+        name: 'Französisch',
+        icon: '🇫🇷',
+        page: 'franzoesisch/franzoesisch.html',
+        description: 'Ressourcen für die bayerischen Lernbereiche (G9) und Vorbereitung auf DELF-Prüfungen.'
+    },
+    mathe: {
+        name: 'Mathematik',
+        icon: '∑',
+        page: 'mathe/mathe.html',
+        description: 'Analysis für die Oberstufe: Exponential- und Logarithmusfunktionen, Umkehrfunktionen.'
+    },
+    Latein: {
+        name: 'Latein',
+        icon: '🏛️',
+        page: 'Latein/latein.html',
+        description: 'Autoren und Lektüre der Oberstufe – von Ciceros Leben und Werk bis zur Übersetzungspraxis.'
+    },
+    psychologie: {
+        name: 'Psychologie',
+        icon: '🧠',
+        page: 'psychologie/psychologische-grundbeduerfnisse-grawe.html',
+        description: 'Grundlagenwissen anschaulich aufbereitet, z. B. die psychologischen Grundbedürfnisse nach Grawe.'
+    }
+};
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß',
+    eacute: 'é', egrave: 'è', agrave: 'à', ccedil: 'ç', ndash: '–', mdash: '—',
+    hellip: '…', bdquo: '„', ldquo: '“', rdquo: '”', rarr: '→', larr: '←'
+};
+
+// ==========================================
+// HTML HELPERS
+// ==========================================
+function decodeEntities(text) {
+    return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+    });
+}
+
+function stripTags(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function matchFirst(html, regex) {
+    const match = html.match(regex);
+    return match ? stripTags(match[1]) : '';
+}
+
+/**
+ * <title> without the usual " | edu-mrh.de" suffix
+ */
+function pageTitle(html) {
+    return matchFirst(html, /<title[^>]*>([\s\S]*?)<\/title>/i)
+        .replace(/\s*[|–-]\s*edu-mrh.*$/i, '');
+}
+
+function metaDescription(html) {
+    const match = html.match(/<meta\s+name=["']description["']\s+content=["']([^"']*)["']/i);
+    return match ? decodeEntities(match[1]).trim() : '';
+}
+
+// ==========================================
+// FILE WALK
+// ==========================================
+/**
+ * All files below dir (hidden files and folders skipped), optionally
+ * filtered by a file-name pattern
+ */
+function collectFiles(dir, pattern, files = []) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        if (entry.name.startsWith('.')) return;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            collectFiles(fullPath, pattern, files);
+        } else if (!pattern || pattern.test(entry.name)) {
+            files.push(fullPath);
+        }
+    });
+    return files.sort();
+}
+
+/**
+ * Repository-relative path with forward slashes
+ */
+function relativePath(file) {
+    return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+/**
+ * URL-safe form of a repository path (spaces, umlauts)
+ */
+function toUrl(relPath) {
+    return relPath.split('/').map(encodeURIComponent).join('/');
+}
+
+module.exports = {
+    ROOT,
+    SUBJECTS,
+    decodeEntities,
+    stripTags,
+    matchFirst,
+    pageTitle,
+    metaDescription,
+    collectFiles,
+    relativePath,
+    toUrl
+};